@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+// Host fan-out benchmark: encrypt one chat message for every participant on
+// the host link, comparing the old per-message PBKDF2 derivation with the
+// cached HKDF session keys.
+//
+//   npm run bench [-- <participants> <seconds per case>]
+
+import crypto from 'crypto';
+import { UnifiedNode } from '../src/network/unified-node.js';
+import { AESCrypto } from '../src/crypto/aes.js';
+import { transcriptSalt, deriveSessionKeys } from '../src/crypto/key-schedule.js';
+
+const participants = parseInt(process.argv[2], 10) || 20;
+const seconds = parseFloat(process.argv[3]) || 2;
+
+const message = {
+  type: 'sealed_message',
+  chatId: 'chat_bench',
+  sealed: { keyId: 'k', ciphertext: { encrypted: 'x'.repeat(256), iv: '', authTag: '' } },
+  timestamp: Date.now()
+};
+
+// What every encrypt and decrypt used to do before the key schedule
+function legacyDeriveKey(sharedSecret) {
+  return crypto.pbkdf2Sync(Buffer.from(sharedSecret, 'base64'), Buffer.from('melq-salt', 'utf8'), 100000, 32, 'sha256');
+}
+
+function run(name, fanOut) {
+  const deadline = Date.now() + seconds * 1000;
+  let rounds = 0;
+  const start = process.hrtime.bigint();
+  while (Date.now() < deadline) {
+    fanOut();
+    rounds++;
+  }
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+  const perSecond = (rounds * participants) / elapsed;
+  console.log(`${name.padEnd(28)} ${String(rounds).padStart(8)} fan-outs  ${perSecond.toFixed(0).padStart(10)} msg/s`);
+  return perSecond;
+}
+
+const host = new UnifiedNode();
+host.nodeId = 'node_benchhost';
+const aes = new AESCrypto();
+const secrets = [];
+
+for (let i = 0; i < participants; i++) {
+  const nodeId = `node_bench${String(i).padStart(4, '0')}`;
+  const secret = crypto.randomBytes(32).toString('base64');
+  const salt = transcriptSalt('host-link', nodeId, host.nodeId, 'bench', 'bench');
+  secrets.push(secret);
+  host.sessionKeys.set(nodeId, deriveSessionKeys(secret, salt, host.nodeId, nodeId));
+}
+
+console.log(`Fan-out of one message to ${participants} participants, ${seconds}s per case\n`);
+
+const legacy = run('PBKDF2 per message (old)', () => {
+  for (const secret of secrets) {
+    aes.encrypt(JSON.stringify(message), legacyDeriveKey(secret));
+  }
+});
+
+const cached = run('HKDF session keys (cached)', () => {
+  for (const nodeId of host.sessionKeys.keys()) {
+    host.encryptMessageForNode(message, nodeId);
+  }
+});
+
+console.log(`\nSpeed-up: ${(cached / legacy).toFixed(0)}x`);
+process.exit(0);
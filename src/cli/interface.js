@@ -1,6 +1,11 @@
 import readline from 'readline';
+import fs from 'fs';
+import { resolve } from 'path';
 import chalk from 'chalk';
 import logger from '../utils/async-logger.js';
+import { formatSafetyNumber, keyFingerprint } from '../crypto/fingerprint.js';
+import { TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION, TRANSCRIPT_FORMATS, renderTranscript } from '../utils/transcript.js';
+import { DELIVERY_STATUS, TYPING_INDICATOR_TIMEOUT, SEARCH_RESULT_LIMIT, matchesSearch } from '../network/unified-node.js';
 
 const CHAT_MODES = {
   DIRECTORY: 'directory',
@@ -17,6 +22,10 @@ const CONNECTION_STATUS = {
   ERROR: 'error'
 };
 
+// How far /jump pages back through host history looking for a search hit
+const JUMP_PAGE_SIZE = 200;
+const JUMP_PAGE_LIMIT = 10;
+
 const UI_THEMES = {
   SUCCESS: { icon: '✅', color: chalk.green },
   ERROR: { icon: '❌', color: chalk.red },
@@ -27,7 +36,7 @@ const UI_THEMES = {
 };
 
 export class CLIInterface {
-  constructor(node) {
+  constructor(node, options = {}) {
     this.node = node;
     this.node.cliInterface = this; // Set reference for prompt restoration
     this.currentPath = '/';
@@ -36,7 +45,20 @@ export class CLIInterface {
     this.messages = new Map(); // chatId -> messages[]
     this.chatColorAssignments = new Map(); // chatId -> { username -> colorName }
     this.customNames = new Map(); // chatId -> Map(nodeId -> custom name)
-    this.maxMessagesPerChat = 100; // Maximum messages to keep per chat
+    this.maxMessagesPerChat = options.maxMessagesPerChat || 100; // Older ones are fetched from the host again
+    this.messageCounters = new Map(); // chatId -> number given to the latest message
+    this.olderHistory = new Map(); // chatId -> { cursor, hasMore, loaded } for /more
+    this.fetchingOlder = false;
+    this.threadView = null; // { rootId, number } while /thread shows a single thread
+    this.scrollOffset = 0; // Messages hidden below the chat view while scrolled up
+    this.unseenBelow = 0; // Of those, how many arrived since scrolling up
+    this.atTopOfScrollback = false; // The oldest message we hold is on screen
+    this.searchResults = []; // Hits of the last /search or grep, for /jump
+    this.highlightedMessageId = null; // Marked in the chat view after /jump
+    this.readReceipts = false; // Opt-in: tell senders when their messages were shown
+    this.receiptsSent = new Set(); // messageIds we already sent a read receipt for
+    this.typingUsers = new Map(); // chatId -> Map(nodeId -> when the indicator expires)
+    this.typingTimer = null;
     this.chatHeight = Math.max(10, process.stdout.rows - 6); // Reserve space for input area
     
     // Enhanced connection management
@@ -181,8 +203,9 @@ export class CLIInterface {
   
   completer(line) {
     const commands = {
-      [CHAT_MODES.DIRECTORY]: ['ls', 'cd', 'mkdir', 'discover', 'nodes', 'help', 'clear', 'connect', 'status'],
-      [CHAT_MODES.CHAT]: ['/exit', '/help', '/clear', '/colors', '/name', '/status', '/reconnect']
+      [CHAT_MODES.DIRECTORY]: ['ls', 'cd', 'mkdir', 'msg', 'grep', 'jump', 'discover', 'nodes', 'verify', 'help', 'clear', 'connect', 'status'],
+      [CHAT_MODES.CHAT]: ['/exit', '/help', '/clear', '/colors', '/name', '/verify', '/status', '/reconnect',
+        '/retry', '/receipts', '/edit', '/delete', '/reply', '/thread', '/react', '/msg', '/more', '/search', '/jump', '/export']
     };
     
     const availableCommands = commands[this.mode] || [];
@@ -221,7 +244,8 @@ export class CLIInterface {
         }
         
         if (trimmed.startsWith('/')) {
-          const validChatCommands = ['/exit', '/help', '/clear', '/colors', '/name', '/status', '/reconnect'];
+          const validChatCommands = ['/exit', '/help', '/clear', '/colors', '/name', '/verify', '/status', '/reconnect',
+            '/retry', '/receipts', '/edit', '/delete', '/reply', '/thread', '/react', '/msg', '/more', '/search', '/jump', '/export'];
           const command = trimmed.split(' ')[0];
           if (!validChatCommands.includes(command)) {
             return { valid: false, error: `Unknown command: ${command}` };
@@ -309,6 +333,16 @@ export class CLIInterface {
       this.performGracefulShutdown();
     });
 
+    // readline emits keypress events on stdin; typing in a chat tells the
+    // other members (the node throttles the notices)
+    process.stdin.on('keypress', (str, key) => {
+      if (this.mode !== CHAT_MODES.CHAT || !this.currentChat) return;
+      if (key && (key.name === 'return' || key.name === 'enter')) return;
+      if (key && this.handleScrollKey(key.name)) return;
+      if (this.rl.line.startsWith('/')) return;
+      this.node.sendTypingNotice(this.currentChat.id);
+    });
+
     process.on('SIGINT', () => {
       this.performGracefulShutdown();
     });
@@ -423,6 +457,20 @@ export class CLIInterface {
     this.node.onMessage((messageData) => {
       this.handleIncomingMessage(messageData);
     });
+
+    this.node.onDeliveryUpdate((messageId, chatId) => {
+      if (this.mode === CHAT_MODES.CHAT && this.currentChat && this.currentChat.id === chatId) {
+        this.refreshPreservingInput();
+      }
+    });
+
+    this.node.onMessageUpdate((update) => {
+      this.applyMessageUpdate(update);
+    });
+
+    this.node.onTyping((nodeId, chatId) => {
+      this.handleTypingNotice(nodeId, chatId);
+    });
   }
 
   // Method called by UnifiedNode.safeLog() for synchronous/asynchronous logging
@@ -509,13 +557,88 @@ export class CLIInterface {
       return;
     }
     
+    if (trimmedInput === '/verify' || trimmedInput.startsWith('/verify ')) {
+      this.verifyPeer(trimmedInput.split(' ').slice(1).filter(Boolean));
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/retry') {
+      this.retryFailedMessages();
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/edit' || trimmedInput.startsWith('/edit ')) {
+      this.editMessage(trimmedInput.substring(5).trim());
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/delete' || trimmedInput.startsWith('/delete ')) {
+      this.deleteMessage(trimmedInput.substring(7).trim());
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/reply' || trimmedInput.startsWith('/reply ')) {
+      this.replyToMessage(trimmedInput.substring(6).trim());
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/thread' || trimmedInput.startsWith('/thread ')) {
+      this.showThread(trimmedInput.substring(7).trim());
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/react' || trimmedInput.startsWith('/react ')) {
+      this.reactToMessage(trimmedInput.substring(6).trim());
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/msg' || trimmedInput.startsWith('/msg ')) {
+      this.openDirectChat(trimmedInput.substring(4).trim());
+      return;
+    }
+
+    if (trimmedInput === '/export' || trimmedInput.startsWith('/export ')) {
+      this.exportTranscript(trimmedInput.substring(7).trim());
+      this.rl.prompt();
+      return;
+    }
+
+    if (trimmedInput === '/search' || trimmedInput.startsWith('/search ')) {
+      this.searchMessages(trimmedInput.substring(7).trim());
+      return;
+    }
+
+    if (trimmedInput === '/jump' || trimmedInput.startsWith('/jump ')) {
+      this.jumpToSearchResult(trimmedInput.substring(5).trim());
+      return;
+    }
+
+    if (trimmedInput === '/more' || trimmedInput.startsWith('/more ')) {
+      this.loadOlderMessages(trimmedInput.substring(5).trim());
+      return;
+    }
+
+    if (trimmedInput === '/receipts' || trimmedInput.startsWith('/receipts ')) {
+      this.setReadReceipts(trimmedInput.substring(9).trim());
+      this.rl.prompt();
+      return;
+    }
+    
     if (trimmedInput === '') {
       this.rl.prompt();
       return;
     }
     
-    // Send the message
-    const messageSent = this.sendMessage(trimmedInput);
+    // Send the message; inside a thread view it goes to that thread
+    this.scrollToBottom();
+    const messageSent = this.sendMessage(trimmedInput, this.threadView ? this.threadView.rootId : null);
     
     // If no message was sent (no peers), refresh display to keep chat clean
     if (!messageSent && this.node.peerKeys && this.node.peerKeys.size === 0) {
@@ -541,20 +664,37 @@ export class CLIInterface {
       case 'mkdir':
         this.createChat(args.slice(1).join(' '));
         break;
+
+      case 'msg':
+        this.openDirectChat(args.slice(1).join(' '));
+        return;
+
+      case 'grep':
+        this.searchMessages(args.slice(1).join(' '));
+        return;
+
+      case 'jump':
+        this.jumpToSearchResult(args.slice(1).join(' '));
+        return;
       
       case 'discover':
         this.startSpinner('Discovering peers');
-        this.node.discoverNodes();
-        setTimeout(() => {
-          this.stopSpinner('Discovery request sent');
-          this.rl.prompt();
-        }, 2000);
+        this.node.discoverNodes().then(() => {
+          this.stopSpinner('Discovery complete');
+        }, (error) => {
+          this.stopSpinner();
+          logger.log(chalk.red(`❌ Discovery failed: ${error.message}`));
+        }).finally(() => this.rl.prompt());
         return;
       
       case 'nodes':
         this.showNodes();
         break;
       
+      case 'verify':
+        this.verifyPeer(args.slice(1).filter(Boolean));
+        break;
+      
       case 'help':
         this.showHelp();
         break;
@@ -579,26 +719,46 @@ export class CLIInterface {
   listContents() {
     const terminalWidth = Math.min(process.stdout.columns || 80, 80);
     
+    const chats = Array.from(this.node.chats.values());
+    const rooms = chats.filter(chat => !chat.direct);
+    const directChats = chats.filter(chat => chat.direct);
+    
     // Beautiful header for chat list
     console.log(chalk.bold.yellow('📁 Available Chats:'));
     console.log(chalk.dim('─'.repeat(terminalWidth - 2)));
     
-    if (this.node.chats.size === 0) {
+    if (rooms.length === 0) {
       const emptyIcon = '📭';
       console.log(chalk.dim.gray(`  ${emptyIcon} No chats available`));
       console.log(chalk.dim.gray('  💡 Use "mkdir <chat_name>" to create a new chat'));
     } else {
-      for (const [chatId, chat] of this.node.chats.entries()) {
-        const messageCount = this.messages.get(chatId)?.length || 0;
-        const unreadBadge = messageCount > 0 ? chalk.bgRed.white(` ${messageCount} `) : '';
-        const chatIcon = messageCount > 0 ? '💬' : '📁';
-        const lastActivity = this.getLastActivity(chatId);
-        
-        console.log(`  ${chatIcon} ${chalk.cyan.bold(chat.name)} ${unreadBadge} ${chalk.dim.gray(lastActivity)}`);
+      for (const chat of rooms) {
+        this.listChat(chat, '📁');
+      }
+    }
+    console.log();
+
+    console.log(chalk.bold.yellow('✉️  Direct Messages:'));
+    console.log(chalk.dim('─'.repeat(terminalWidth - 2)));
+
+    if (directChats.length === 0) {
+      console.log(chalk.dim.gray('  💡 Use "msg <user>" to talk to one peer privately'));
+    } else {
+      for (const chat of directChats) {
+        this.listChat(chat, '✉️ ');
       }
     }
     console.log();
   }
+
+  listChat(chat, icon) {
+    const messageCount = this.messages.get(chat.id)?.length || 0;
+    const unreadBadge = messageCount > 0 ? chalk.bgRed.white(` ${messageCount} `) : '';
+    const chatIcon = messageCount > 0 ? '💬' : icon;
+    const lastActivity = this.getLastActivity(chat.id);
+
+    console.log(`  ${chatIcon} ${chalk.cyan.bold(chat.name)} ${unreadBadge} ${chalk.dim.gray(lastActivity)}`);
+  }
   
   getLastActivity(chatId) {
     const messages = this.messages.get(chatId);
@@ -635,7 +795,7 @@ export class CLIInterface {
           console.log(chalk.dim.gray('  💡 Use "mkdir <name>" to create a new chat'));
         } else {
           for (const [chatId, chat] of this.node.chats.entries()) {
-            console.log(chalk.cyan(`  📁 ${chat.name}`));
+            console.log(chalk.cyan(`  ${chat.direct ? '✉️ ' : '📁'} ${chat.name}`));
           }
           console.log(chalk.dim.gray('  💡 Use "cd <chat_name>" to enter a chat'));
         }
@@ -680,7 +840,45 @@ export class CLIInterface {
     }
   }
 
-  sendMessage(message) {
+  // msg <user> [text] (/msg in a chat) opens the private chat with one peer
+  // and sends text there if given. Direct chats are listed only to the two of
+  // you and travel under your pairwise keys, not the chat's sender keys.
+  openDirectChat(args) {
+    const inChat = this.mode === CHAT_MODES.CHAT;
+    const report = message => {
+      if (inChat) {
+        this.displaySystemMessage(message);
+      } else {
+        logger.log(chalk.red(message));
+      }
+      this.rl.prompt();
+    };
+
+    const [user, ...words] = args.split(' ').filter(Boolean);
+    if (!user) {
+      report('Usage: msg <user> [message]  (user is the ID shown by "nodes", or a chat name)');
+      return;
+    }
+
+    const peerId = this.resolvePeer(user.replace(/^@/, ''));
+    if (!peerId) {
+      report(`❌ Unknown user "${user}". Use "nodes" to list peers.`);
+      return;
+    }
+
+    const text = words.join(' ');
+    const existing = Array.from(this.node.chats.values()).find(chat => chat.direct && chat.peerId === peerId);
+    const opened = existing ? Promise.resolve(existing) : this.node.openDirectChat(peerId);
+    opened.then(chat => {
+      this.enterChat(chat);
+      if (text) this.sendMessage(text);
+      this.rl.prompt();
+    }, error => {
+      report(`❌ Could not open a direct chat: ${error.message}`);
+    });
+  }
+
+  sendMessage(message, replyTo = null) {
     if (!this.currentChat) {
       this.displaySystemMessage('❌ You must be in a chat to send messages.');
       this.displaySystemMessage('💡 Use "cd <chat_name>" to enter a chat.');
@@ -697,33 +895,24 @@ export class CLIInterface {
       return false;
     }
 
-    const targets = Array.from(this.node.peerKeys.keys());
-    if (targets.length === 0) {
-      // Don't add to chat history - just show temporary notification
-      // The message was not sent, so don't store it anywhere
-      return false;
-    }
-
     try {
-      // Send to peers
-      targets.forEach(nodeId => {
-        this.node.sendMessage(this.currentChat.id, message, nodeId);
-      });
+      // Sealed once for the chat's members and routed through the host
+      const messageId = this.node.sendChatMessage(this.currentChat.id, message, { replyTo });
+      if (!messageId) {
+        // Don't add to chat history - nobody in this chat could receive it
+        return false;
+      }
 
       // Add to local message history
-      if (!this.messages.has(this.currentChat.id)) {
-        this.messages.set(this.currentChat.id, []);
-      }
-      
-      this.messages.get(this.currentChat.id).push({
+      this.appendChatMessage(this.currentChat.id, {
         from: 'You',
+        fromNodeId: this.node.nodeId,
+        messageId,
+        replyTo,
         text: message.trim(),
         timestamp: Date.now()
       });
 
-      // Enforce message limit for this chat
-      this.enforceMessageLimit(this.currentChat.id);
-
       // Ensure "You" gets a color assignment in this chat
       this.getColorForUser(this.currentChat.id, 'You');
 
@@ -744,51 +933,958 @@ export class CLIInterface {
     // Check if this is a name change notification
     if (messageData.text && messageData.text.startsWith('__NAME_CHANGE__:')) {
       const customName = messageData.text.substring('__NAME_CHANGE__:'.length).trim();
-      this.handleNameChange(messageData.chatId, fromNode, customName);
+      this.handleNameChange(messageData.chatId, fromNode, customName, messageData.fromNodeId);
       return; // Don't add name change messages to chat history
     }
 
-    if (!this.messages.has(messageData.chatId)) {
-      this.messages.set(messageData.chatId, []);
-    }
+    // Their message ends whatever they were typing
+    this.typingUsers.get(messageData.chatId)?.delete(messageData.fromNodeId);
 
-    this.messages.get(messageData.chatId).push({
+    this.appendChatMessage(messageData.chatId, {
       from: fromNode,
+      fromNodeId: messageData.fromNodeId,
+      messageId: messageData.messageId,
+      replyTo: messageData.replyTo,
+      threadId: messageData.threadId,
       text: messageData.text,
       timestamp: messageData.timestamp
     });
 
-    // Enforce message limit for this chat
-    this.enforceMessageLimit(messageData.chatId);
-
     // Ensure sender gets a color assignment in this chat
     this.getColorForUser(messageData.chatId, fromNode);
 
     // Only refresh display if we're in the same chat in chat mode
     if (this.mode === CHAT_MODES.CHAT && this.currentChat && this.currentChat.id === messageData.chatId) {
-      // Preserve current input line and cursor position
-      const currentInput = this.rl.line;
-      const currentCursor = this.rl.cursor;
-      
-      // Use debounced refresh to prevent display corruption from rapid messages
-      this.debouncedRefresh();
-      
-      // Small delay to let display refresh complete before restoring input
-      setTimeout(() => {
-        
-        
-        // Restore the input line and cursor position properly
-        this.rl.line = currentInput;
-        this.rl.cursor = currentCursor;
-        
-        // Clear the current line and rewrite with proper cursor position
-        process.stdout.write('\r\x1b[K'); // Clear current line
-        this.rl._refreshLine(); // Use readline's internal refresh method
-      }, 60); // Slightly longer than debounce delay
+      this.refreshPreservingInput();
     }
     // In directory mode, don't show any message notifications
   }
 
+  // Add a message to a chat's local history. Messages with an ID get the next
+  // number in that chat, which /edit and /delete use to refer to them.
+  appendChatMessage(chatId, message) {
+    if (!this.messages.has(chatId)) {
+      this.messages.set(chatId, []);
+    }
+
+    if (message.messageId) {
+      const number = (this.messageCounters.get(chatId) || 0) + 1;
+      this.messageCounters.set(chatId, number);
+      message.number = number;
+    }
+
+    // Replies join their parent's thread; the host's threadId covers parents
+    // we never saw
+    if (message.replyTo) {
+      const parent = this.findMessage(chatId, message.replyTo);
+      message.threadId = parent ? (parent.threadId || parent.messageId) : (message.threadId || message.replyTo);
+    }
+
+    this.messages.get(chatId).push(message);
+
+    // While scrolled up, the view stays put and counts what arrives below it
+    if (this.scrollOffset > 0 && this.currentChat && this.currentChat.id === chatId && this.isInView(message)) {
+      this.scrollOffset++;
+      this.unseenBelow++;
+    }
+
+    // Enforce message limit for this chat
+    this.enforceMessageLimit(chatId);
+  }
+
+  // A page of history from the host, oldest first: messages we already have
+  // take on their current state (edited or deleted since), the rest are put
+  // in order around them. `older` pages go before everything we hold.
+  mergeChatHistory(chatId, entries, { older = false, hasMore = false, cursor = null } = {}) {
+    if (!this.messages.has(chatId)) {
+      this.messages.set(chatId, []);
+    }
+
+    const messages = this.messages.get(chatId);
+    const added = [];
+    let insertAt = older ? 0 : messages.length;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      const position = entry.messageId ? messages.findIndex(msg => msg.messageId === entry.messageId) : -1;
+      if (position !== -1) {
+        // An unsigned or imported copy never overwrites a message we could
+        // verify against its author
+        const unverified = msg => msg.unsigned || msg.imported;
+        if (!unverified(entry) || unverified(messages[position])) {
+          Object.assign(messages[position], { text: entry.text, edited: entry.edited, deleted: entry.deleted, reactions: entry.reactions });
+        }
+        insertAt = position;
+      } else {
+        messages.splice(insertAt, 0, entry);
+        added.unshift(entry);
+      }
+    }
+
+    // Parents come before their replies, so thread them oldest first
+    for (const message of added) {
+      if (!message.replyTo) continue;
+      const parent = this.findMessage(chatId, message.replyTo);
+      message.threadId = parent ? (parent.threadId || parent.messageId) : (message.threadId || message.replyTo);
+    }
+
+    // Only the first page a chat gets (or /more) says where older history starts
+    const state = this.olderHistory.get(chatId) || { loaded: 0, hasMore, cursor };
+    if (older) {
+      state.loaded += added.length;
+      state.hasMore = hasMore;
+      state.cursor = cursor;
+    }
+    this.olderHistory.set(chatId, state);
+
+    if (added.length > 0) {
+      this.renumberMessages(chatId);
+      this.enforceMessageLimit(chatId);
+    }
+    return added.length;
+  }
+
+  // Number a chat's messages in order again after older ones were put in
+  // front, keeping the thread view pointed at the same thread
+  renumberMessages(chatId) {
+    let number = 0;
+    for (const message of this.messages.get(chatId) || []) {
+      if (message.messageId) message.number = ++number;
+    }
+    this.messageCounters.set(chatId, number);
+
+    if (this.threadView && this.currentChat && this.currentChat.id === chatId) {
+      const root = this.findMessage(chatId, this.threadView.rootId);
+      if (root) this.threadView.number = root.number;
+    }
+  }
+
+  // /more [n] fetches the page of host history before the oldest message we
+  // hold (50 by default)
+  loadOlderMessages(args) {
+    const chatId = this.currentChat.id;
+    const limit = args ? Number(args) : undefined;
+    if (args && (!Number.isInteger(limit) || limit < 1)) {
+      this.displaySystemMessage('Usage: /more [n]  (load n older messages, 50 by default)');
+      this.rl.prompt();
+      return;
+    }
+
+    const state = this.olderHistory.get(chatId);
+    if (state && !state.hasMore) {
+      this.displaySystemMessage('No older messages on the host.');
+      this.rl.prompt();
+      return;
+    }
+
+    this.fetchOlderMessages(chatId, limit).then(added => {
+      if (this.currentChat && this.currentChat.id === chatId) {
+        this.refreshChatDisplay();
+        this.displaySystemMessage(added > 0 ? `Loaded ${added} older messages.` : 'No older messages you can read.');
+      }
+      this.rl.prompt();
+    }, error => {
+      this.displaySystemMessage(`❌ Could not load older messages: ${error.message}`);
+      this.rl.prompt();
+    });
+  }
+
+  // Fetch the page before the oldest message we hold and merge it in.
+  // Resolves with the number of messages added.
+  async fetchOlderMessages(chatId, limit) {
+    // The host's cursor also skips entries we could not read; after local
+    // trimming it is stale and our oldest message is the place to continue
+    const state = this.olderHistory.get(chatId);
+    const oldest = (this.messages.get(chatId) || []).find(msg => msg.messageId);
+    const before = (state && state.cursor) || (oldest ? oldest.messageId : null);
+
+    this.fetchingOlder = true;
+    try {
+      const page = await this.node.fetchHistory(chatId, { before, limit });
+      return this.mergeChatHistory(chatId, page.messages, { older: true, hasMore: page.hasMore, cursor: page.cursor });
+    } finally {
+      this.fetchingOlder = false;
+    }
+  }
+
+  // PageUp/PageDown scroll the chat view by a screen, Home/End (with nothing
+  // typed) jump to the oldest and newest messages. Scrolling up past the
+  // oldest message we hold fetches the page before it from the host.
+  // Returns false for any other key.
+  handleScrollKey(name) {
+    const emptyLine = this.rl.line === '';
+    switch (name) {
+      case 'pageup':
+        if (this.atTopOfScrollback) {
+          this.scrollIntoOlderHistory();
+          return true;
+        }
+        this.scrollOffset += this.getScrollStep();
+        break;
+      case 'pagedown':
+        this.scrollOffset = Math.max(0, this.scrollOffset - this.getScrollStep());
+        this.unseenBelow = Math.min(this.unseenBelow, this.scrollOffset);
+        break;
+      case 'home':
+        if (!emptyLine) return false;
+        this.scrollOffset = (this.messages.get(this.currentChat.id) || []).length;
+        break;
+      case 'end':
+        if (!emptyLine) return false;
+        this.scrollToBottom();
+        break;
+      default:
+        return false;
+    }
+
+    this.refreshPreservingInput();
+    return true;
+  }
+
+  // A screen's worth of messages, keeping one of them in view
+  getScrollStep() {
+    return Math.max(1, (this.lastShownCount || 1) - 1);
+  }
+
+  scrollToBottom() {
+    this.scrollOffset = 0;
+    this.unseenBelow = 0;
+    this.highlightedMessageId = null;
+  }
+
+  scrollIntoOlderHistory() {
+    const chatId = this.currentChat.id;
+    const state = this.olderHistory.get(chatId);
+    if (this.fetchingOlder || !state || !state.hasMore || this.threadView) return;
+
+    this.fetchOlderMessages(chatId).then(added => {
+      if (added > 0 && this.currentChat && this.currentChat.id === chatId) {
+        this.scrollOffset += this.getScrollStep();
+      }
+      this.refreshPreservingInput();
+    }, error => {
+      this.displaySystemMessage(`❌ Could not load older messages: ${error.message}`);
+    });
+  }
+
+  findMessage(chatId, messageId) {
+    return (this.messages.get(chatId) || []).find(msg => msg.messageId === messageId) || null;
+  }
+
+  findMessageByNumber(chatId, number) {
+    return (this.messages.get(chatId) || []).find(msg => msg.number === number) || null;
+  }
+
+  // The message an /edit or /delete argument points at: "#n" or "n" for a
+  // numbered message, nothing for our latest one. Returns { message, rest }
+  // or null after telling the user what is wrong.
+  resolveOwnMessage(args) {
+    const chatId = this.currentChat.id;
+    const match = args.match(/^#?(\d+)(?:\s+(.*))?$/);
+    const message = match
+      ? this.findMessageByNumber(chatId, Number(match[1]))
+      : (this.messages.get(chatId) || []).filter(msg => msg.fromNodeId === this.node.nodeId && !msg.deleted).pop();
+
+    if (!message) {
+      this.displaySystemMessage(match ? `❌ No message #${match[1]} in this chat.` : '❌ You have not sent any messages in this chat.');
+      return null;
+    }
+    if (message.fromNodeId !== this.node.nodeId) {
+      this.displaySystemMessage('❌ You can only change your own messages.');
+      return null;
+    }
+    if (message.deleted) {
+      this.displaySystemMessage('❌ That message was deleted.');
+      return null;
+    }
+
+    return { message, rest: match ? (match[2] || '').trim() : args };
+  }
+
+  editMessage(args) {
+    const usage = () => this.displaySystemMessage('Usage: /edit [n] <new text>  (without n, edits your last message)');
+    if (!args) {
+      usage();
+      return;
+    }
+
+    const target = this.resolveOwnMessage(args);
+    if (!target) return;
+    if (!target.rest) {
+      usage();
+      return;
+    }
+    if (target.rest.length > 500) {
+      this.displaySystemMessage('❌ Message too long (max 500 characters)');
+      return;
+    }
+
+    const chatId = this.currentChat.id;
+    this.node.editChatMessage(chatId, target.message.messageId, target.rest).then(() => {
+      target.message.text = target.rest;
+      target.message.edited = true;
+      if (this.currentChat && this.currentChat.id === chatId) this.refreshPreservingInput();
+    }, error => {
+      this.displaySystemMessage(`❌ Could not edit message: ${error.message}`);
+    });
+  }
+
+  deleteMessage(args) {
+    if (args && !/^#?\d+$/.test(args)) {
+      this.displaySystemMessage('Usage: /delete [n]  (without n, deletes your last message)');
+      return;
+    }
+
+    const target = this.resolveOwnMessage(args);
+    if (!target) return;
+
+    const chatId = this.currentChat.id;
+    this.node.deleteChatMessage(chatId, target.message.messageId).then(() => {
+      target.message.deleted = true;
+      target.message.text = '';
+      if (this.currentChat && this.currentChat.id === chatId) this.refreshPreservingInput();
+    }, error => {
+      this.displaySystemMessage(`❌ Could not delete message: ${error.message}`);
+    });
+  }
+
+  replyToMessage(args) {
+    const match = args.match(/^#?(\d+)\s+(.+)$/);
+    if (!match) {
+      this.displaySystemMessage('Usage: /reply <n> <text>  (n is the number shown before a message)');
+      return;
+    }
+
+    const parent = this.findMessageByNumber(this.currentChat.id, Number(match[1]));
+    if (!parent || parent.deleted) {
+      this.displaySystemMessage(`❌ No message #${match[1]} in this chat.`);
+      return;
+    }
+
+    this.sendMessage(match[2].trim(), parent.messageId);
+  }
+
+  // /thread <n> shows only the thread message #n belongs to; /thread on its
+  // own goes back to the whole chat
+  showThread(args) {
+    if (!args || args === 'off') {
+      this.threadView = null;
+      this.scrollToBottom();
+      this.refreshChatDisplay();
+      return;
+    }
+
+    const number = Number(args.replace(/^#/, ''));
+    const message = Number.isInteger(number) ? this.findMessageByNumber(this.currentChat.id, number) : null;
+    if (!message) {
+      this.displaySystemMessage(`❌ No message ${args} in this chat.`);
+      return;
+    }
+
+    const rootId = message.threadId || message.messageId;
+    const root = this.findMessage(this.currentChat.id, rootId);
+    this.threadView = { rootId, number: root ? root.number : number };
+    this.scrollToBottom();
+    this.refreshChatDisplay();
+  }
+
+  // /search <words> [from:<user>] [since:<date>] [until:<date>] searches this
+  // chat, grep does the same across every chat. Hits come from the chat view
+  // and from host history (in E2E sessions, the messages the node kept),
+  // newest first; /jump <n> shows one in its chat.
+  searchMessages(args) {
+    const inChat = this.mode === CHAT_MODES.CHAT;
+    const report = message => {
+      if (inChat) {
+        this.displaySystemMessage(message);
+      } else {
+        logger.log(chalk.red(message));
+      }
+      this.rl.prompt();
+    };
+
+    const parsed = this.parseSearchFilters(args);
+    if (parsed.error) {
+      report(parsed.error);
+      return;
+    }
+
+    const { filters } = parsed;
+    const chatId = inChat ? this.currentChat.id : null;
+    const hits = new Map(); // messageId -> { chatId, message, local }
+    for (const [id, messages] of this.messages) {
+      if (chatId && id !== chatId) continue;
+      for (const message of messages) {
+        if (matchesSearch(message, filters)) hits.set(message.messageId, { chatId: id, message, local: true });
+      }
+    }
+
+    this.node.searchHistory(chatId, filters).catch(error => ({ messages: [], hasMore: false, error })).then(remote => {
+      for (const message of remote.messages) {
+        if (!hits.has(message.messageId)) hits.set(message.messageId, { chatId: message.chatId, message, local: false });
+      }
+
+      const results = Array.from(hits.values()).sort((a, b) => b.message.timestamp - a.message.timestamp);
+      this.searchResults = results.slice(0, SEARCH_RESULT_LIMIT);
+      this.showSearchResults(filters, results.length, remote);
+      this.rl.prompt();
+    });
+  }
+
+  // Words to look for, plus from:<user>, since:<date> and until:<date>. Dates
+  // are YYYY-MM-DD (until: includes that day) or an age such as 12h, 3d, 2w.
+  // Returns { filters } or { error }.
+  parseSearchFilters(args) {
+    const usage = 'Usage: /search <words> [from:<user>] [since:<date>] [until:<date>]  (grep in the directory)';
+    const filters = {};
+    const words = [];
+
+    for (const word of args.split(' ').filter(Boolean)) {
+      const match = word.match(/^(from|since|until):(.+)$/);
+      if (!match) {
+        words.push(word);
+        continue;
+      }
+
+      const [, key, value] = match;
+      if (key === 'from') {
+        const nodeId = this.resolveSender(value.replace(/^@/, ''));
+        if (!nodeId) return { error: `❌ Unknown sender "${value}".` };
+        filters.fromNodeId = nodeId;
+      } else {
+        const time = this.parseSearchDate(value, key === 'until');
+        if (time === null) return { error: `❌ Cannot read the date "${value}" (use YYYY-MM-DD or an age like 3d).` };
+        filters[key] = time;
+      }
+    }
+
+    filters.query = words.join(' ');
+    if (!filters.query && !filters.fromNodeId) return { error: usage };
+    return { filters };
+  }
+
+  parseSearchDate(value, endOfDay) {
+    const age = value.match(/^(\d+)([hdw])$/);
+    if (age) {
+      const unit = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }[age[2]];
+      return Date.now() - Number(age[1]) * unit;
+    }
+
+    // Plain dates are local midnight, not UTC
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00` : value);
+    if (Number.isNaN(time)) return null;
+    return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 : time;
+  }
+
+  // A sender for from: - "me", a peer resolvePeer knows, or anyone whose
+  // name or short ID appears on a message we hold
+  resolveSender(user) {
+    if (user === 'me' || user === 'You') return this.node.nodeId;
+
+    const peer = this.resolvePeer(user);
+    if (peer) return peer;
+
+    for (const [chatId, messages] of this.messages) {
+      const match = messages.find(msg => msg.fromNodeId &&
+        (msg.fromNodeId.endsWith(user) || this.getDisplayName(chatId, msg.from) === user));
+      if (match) return match.fromNodeId;
+    }
+    return null;
+  }
+
+  showSearchResults(filters, total, remote) {
+    const inChat = this.mode === CHAT_MODES.CHAT;
+    const lines = [];
+    const described = filters.query ? `"${filters.query}"` : 'your filters';
+
+    if (this.searchResults.length === 0) {
+      lines.push(`🔍 No messages match ${described}.`);
+    } else {
+      const shown = this.searchResults.length;
+      const count = remote.hasMore ? `The newest ${shown}` : total > shown ? `The newest ${shown} of ${total}` : `${total}`;
+      lines.push(`🔍 ${count} message${total === 1 ? '' : 's'} match ${described}; /jump <n> shows one in its chat`);
+    }
+
+    this.searchResults.forEach((result, index) => {
+      lines.push(this.formatSearchHit(result, index + 1, filters.query, !inChat));
+
+      // The directory has room for the messages either side of a hit
+      if (!inChat && result.local) {
+        const messages = (this.messages.get(result.chatId) || []).filter(msg => msg.messageId);
+        const position = messages.indexOf(result.message);
+        for (const neighbour of [messages[position - 1], messages[position + 1]]) {
+          if (neighbour) lines.push(chalk.dim(`      │ ${this.getDisplayName(result.chatId, neighbour.from)}: ${this.searchSnippet(neighbour.text, '')}`));
+        }
+      }
+    });
+
+    if (remote.error) {
+      lines.push(`⚠️  Host history was not searched: ${remote.error.message}`);
+    } else if (!remote.searchedHost) {
+      lines.push('ℹ️  Chats are end-to-end encrypted, so the search ran on this device, over the messages it has read or sent since it connected.');
+    } else if (remote.hasMore) {
+      lines.push('ℹ️  Older host history was not searched; narrow the search with since: or from:.');
+    }
+
+    if (inChat) {
+      lines.forEach(line => this.displaySystemMessage(line, false));
+      this.refreshChatDisplay();
+    } else {
+      console.log();
+      lines.forEach((line, index) => console.log(index === 0 ? chalk.cyan.bold(line) : line));
+      console.log();
+    }
+  }
+
+  formatSearchHit(result, number, query, colored) {
+    const { chatId, message } = result;
+    const when = new Date(message.timestamp).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false
+    });
+    const chat = this.node.chats.get(chatId);
+    const where = [
+      this.mode === CHAT_MODES.CHAT ? null : (chat ? chat.name : chatId.slice(-8)),
+      result.local && message.number ? `#${message.number}` : null
+    ].filter(Boolean).join(' ');
+    const name = this.getDisplayName(chatId, message.from);
+    const text = this.searchSnippet(message.text, query, colored);
+    const unverified = message.unsigned ? ' (unsigned)' : message.imported ? ' (imported by host)' : '';
+
+    return colored
+      ? `  ${chalk.cyan(`[${number}]`)} ${chalk.dim(`${when}${where ? `  ${where}` : ''}`)}  ${chalk.bold(name)}${chalk.yellow(unverified)}: ${text}`
+      : `[${number}] ${when}${where ? `  ${where}` : ''}  ${name}${unverified}: ${text}`;
+  }
+
+  // Up to 60 characters of text around the first match
+  searchSnippet(text, query, colored = false) {
+    const width = 60;
+    const at = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+    if (at === -1) return text.length > width ? text.slice(0, width - 3) + '...' : text;
+
+    const start = Math.max(0, Math.min(at - 20, text.length - width));
+    const end = Math.min(text.length, start + width);
+    const match = text.slice(at, at + query.length);
+    return (start > 0 ? '...' : '') +
+      text.slice(start, at) +
+      (colored ? chalk.yellow.bold(match) : match) +
+      text.slice(at + query.length, end) +
+      (end < text.length ? '...' : '');
+  }
+
+  // /jump <n> (jump <n> in the directory) opens search result n in its chat,
+  // scrolled so it shows with the messages around it
+  jumpToSearchResult(args) {
+    const inChat = this.mode === CHAT_MODES.CHAT;
+    const report = message => {
+      if (inChat) {
+        this.displaySystemMessage(message);
+      } else {
+        logger.log(chalk.red(message));
+      }
+      this.rl.prompt();
+    };
+
+    const result = this.searchResults[Number(args.replace(/^\[?(\d+)\]?$/, '$1')) - 1];
+    if (!result) {
+      report(this.searchResults.length > 0
+        ? `Usage: /jump <n>  (1-${this.searchResults.length}, from the last search)`
+        : 'Search first with /search (or grep in the directory), then /jump <n>.');
+      return;
+    }
+
+    const chat = this.node.chats.get(result.chatId);
+    if (!chat) {
+      report('❌ That chat is no longer listed.');
+      return;
+    }
+
+    if (!this.currentChat || this.currentChat.id !== chat.id) {
+      this.enterChat(chat);
+    }
+    this.threadView = null;
+
+    this.findOrLoadMessage(chat.id, result.message).then(message => {
+      if (!message) {
+        this.displaySystemMessage('❌ That message is no longer in the history you can read.');
+      } else {
+        this.scrollToMessage(chat.id, message);
+      }
+      this.rl.prompt();
+    }, error => {
+      this.displaySystemMessage(`❌ Could not load the message: ${error.message}`);
+      this.rl.prompt();
+    });
+  }
+
+  // Hits from the host may be older than anything we hold: page back until
+  // we have them
+  async findOrLoadMessage(chatId, target) {
+    let message = this.findMessage(chatId, target.messageId);
+    for (let pages = 0; !message && pages < JUMP_PAGE_LIMIT; pages++) {
+      const state = this.olderHistory.get(chatId);
+      const oldest = (this.messages.get(chatId) || []).find(msg => msg.messageId);
+      if ((state && !state.hasMore) || (oldest && oldest.timestamp < target.timestamp)) break;
+
+      const added = await this.fetchOlderMessages(chatId, JUMP_PAGE_SIZE);
+      message = this.findMessage(chatId, target.messageId);
+      if (added === 0 && !message) break;
+    }
+    return message;
+  }
+
+  // Scroll so the message sits just above the bottom of the view, with a
+  // couple of the messages after it below
+  scrollToMessage(chatId, message) {
+    const messages = this.getVisibleMessages(chatId);
+    const position = messages.indexOf(message);
+    this.scrollOffset = Math.max(0, messages.length - 1 - position - 2);
+    this.unseenBelow = 0;
+    this.highlightedMessageId = message.messageId;
+    this.refreshChatDisplay();
+  }
+
+  // Messages shown in the chat view: the whole chat, or one thread
+  getVisibleMessages(chatId) {
+    const messages = this.messages.get(chatId) || [];
+    if (!this.threadView) return messages;
+
+    return messages.filter(msg => this.isInView(msg));
+  }
+
+  isInView(msg) {
+    if (!this.threadView) return true;
+    const { rootId } = this.threadView;
+    return msg.messageId === rootId || msg.threadId === rootId;
+  }
+
+  // One line of context above a reply: who said what in the message it answers
+  getQuote(msg, maxWidth) {
+    if (!msg.replyTo) return null;
+
+    const parent = this.findMessage(this.currentChat.id, msg.replyTo);
+    let quote;
+    if (!parent) {
+      quote = 'reply to an earlier message';
+    } else {
+      const name = this.getDisplayName(this.currentChat.id, parent.from);
+      const text = parent.deleted ? 'message deleted' : parent.text;
+      quote = `${name} #${parent.number}: ${text}`;
+    }
+
+    return quote.length > maxWidth ? quote.slice(0, maxWidth - 3) + '...' : quote;
+  }
+
+  // /react <n> <emoji> adds a reaction to message #n, or takes it back when
+  // we already reacted with that emoji
+  reactToMessage(args) {
+    const match = args.match(/^#?(\d+)\s+(\S+)$/);
+    if (!match || match[2].length > 16) {
+      this.displaySystemMessage('Usage: /react <n> <emoji>  (again with the same emoji to remove it)');
+      return;
+    }
+
+    const chatId = this.currentChat.id;
+    const message = this.findMessageByNumber(chatId, Number(match[1]));
+    if (!message || message.deleted) {
+      this.displaySystemMessage(`❌ No message #${match[1]} in this chat.`);
+      return;
+    }
+
+    const emoji = match[2];
+    const remove = (message.reactions?.[emoji] || []).includes(this.node.nodeId);
+    this.node.reactToMessage(chatId, message.messageId, emoji, { remove }).then(() => {
+      this.setReaction(message, this.node.nodeId, emoji, remove);
+      if (this.currentChat && this.currentChat.id === chatId) this.refreshPreservingInput();
+    }, error => {
+      this.displaySystemMessage(`❌ Could not react: ${error.message}`);
+    });
+  }
+
+  setReaction(message, nodeId, emoji, removed) {
+    const reactions = message.reactions || {};
+    const members = (reactions[emoji] || []).filter(member => member !== nodeId);
+    if (!removed) members.push(nodeId);
+
+    if (members.length > 0) {
+      reactions[emoji] = members;
+    } else {
+      delete reactions[emoji];
+    }
+    message.reactions = reactions;
+  }
+
+  // Reactions under a message, e.g. "👍 2  [🎉 1]"; ours are in brackets
+  formatReactions(msg, maxWidth) {
+    const entries = Object.entries(msg.reactions || {});
+    if (msg.deleted || entries.length === 0) return null;
+
+    const line = entries.map(([emoji, members]) => {
+      const label = `${emoji} ${members.length}`;
+      return members.includes(this.node.nodeId) ? `[${label}]` : label;
+    }).join('  ');
+    return line.length > maxWidth ? line.slice(0, maxWidth - 3) + '...' : line;
+  }
+
+  // Another member edited or deleted one of their messages, or reacted to one
+  applyMessageUpdate(update) {
+    const message = this.findMessage(update.chatId, update.messageId);
+    if (!message) return;
+
+    if (update.type === 'reaction') {
+      this.setReaction(message, update.fromNodeId, update.emoji, update.removed);
+    } else if (message.fromNodeId !== update.fromNodeId) {
+      return;
+    } else if (update.type === 'delete') {
+      message.deleted = true;
+      message.text = '';
+    } else {
+      message.text = update.text;
+      message.edited = true;
+    }
+
+    if (this.mode === CHAT_MODES.CHAT && this.currentChat && this.currentChat.id === update.chatId) {
+      this.refreshPreservingInput();
+    }
+  }
+
+  // Redraw the chat without losing what the user is typing
+  refreshPreservingInput() {
+    // Preserve current input line and cursor position
+    const currentInput = this.rl.line;
+    const currentCursor = this.rl.cursor;
+    
+    // Use debounced refresh to prevent display corruption from rapid messages
+    this.debouncedRefresh();
+    
+    // Small delay to let display refresh complete before restoring input
+    setTimeout(() => {
+      // Restore the input line and cursor position properly
+      this.rl.line = currentInput;
+      this.rl.cursor = currentCursor;
+      
+      // Clear the current line and rewrite with proper cursor position
+      process.stdout.write('\r\x1b[K'); // Clear current line
+      this.rl._refreshLine(); // Use readline's internal refresh method
+    }, 60); // Slightly longer than debounce delay
+  }
+
+  // /export [format] [path] writes this chat's messages as they stand on this
+  // device (txt, md, json or html; txt by default). Without a path the file
+  // goes in the current directory, named after the chat and the time.
+  exportTranscript(args) {
+    const words = args.split(' ').filter(Boolean);
+    let format = TRANSCRIPT_FORMATS.includes(words[0]) || words[0] === 'markdown' ? words.shift() : null;
+    if (format === 'markdown') format = 'md';
+    const path = words.join(' ');
+
+    // A path alone picks the format by its extension
+    if (!format) {
+      const extension = path.split('.').pop().toLowerCase();
+      format = path && TRANSCRIPT_FORMATS.includes(extension) ? extension : 'txt';
+    }
+
+    const transcript = this.buildTranscript(this.currentChat);
+    if (transcript.messages.length === 0) {
+      this.displaySystemMessage('❌ Nothing to export yet.');
+      return;
+    }
+
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const safeName = this.currentChat.name.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'chat';
+    const target = resolve(path || `melq-${safeName}-${stamp}.${format}`);
+
+    try {
+      // Transcripts are as sensitive as the chat: never overwrite, owner-only
+      fs.writeFileSync(target, renderTranscript(transcript, format), { flag: 'wx', mode: 0o600 });
+    } catch (error) {
+      this.displaySystemMessage(error.code === 'EEXIST'
+        ? `❌ ${target} already exists.`
+        : `❌ Could not export: ${error.message}`);
+      return;
+    }
+
+    this.displaySystemMessage(`📄 Exported ${transcript.messages.length} messages to ${target}`);
+  }
+
+  // The chat as a transcript (see utils/transcript.js): every message we hold,
+  // with the names used in this chat and how each sender's key stands
+  buildTranscript(chat) {
+    const messages = (this.messages.get(chat.id) || []).filter(msg => msg.messageId);
+    const senderName = msg => {
+      const name = this.getDisplayName(chat.id, msg.from);
+      return name === 'You' ? this.node.nodeId.slice(-8) : name;
+    };
+    return {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      chat: { id: chat.id, name: chat.name, ...(chat.direct ? { direct: true } : {}) },
+      exportedBy: this.node.nodeId,
+      exportedAt: Date.now(),
+      messages: messages.map(msg => ({
+        messageId: msg.messageId,
+        number: msg.number,
+        fromNodeId: msg.fromNodeId,
+        sender: senderName(msg),
+        timestamp: msg.timestamp,
+        text: msg.deleted ? '' : msg.text,
+        ...(msg.edited ? { edited: true } : {}),
+        ...(msg.deleted ? { deleted: true } : {}),
+        ...(msg.replyTo ? { replyTo: msg.replyTo } : {}),
+        ...(msg.threadId ? { threadId: msg.threadId } : {}),
+        ...(msg.reactions && Object.keys(msg.reactions).length > 0 ? { reactions: msg.reactions } : {}),
+        verification: msg.unsigned ? 'unsigned'
+          : msg.imported ? 'imported'
+            : msg.fromNodeId === this.node.nodeId ? 'self'
+              : this.node.getPeerTrustStatus(msg.fromNodeId)
+      }))
+    };
+  }
+
+  // Resend our messages in this chat that were never acknowledged
+  retryFailedMessages() {
+    const ownMessages = (this.messages.get(this.currentChat.id) || []).filter(msg => msg.from === 'You' && msg.messageId);
+    const retried = ownMessages.filter(msg => this.node.retryChatMessage(msg.messageId)).length;
+
+    if (retried === 0) {
+      this.displaySystemMessage('No failed messages to retry.');
+    } else {
+      this.displaySystemMessage(`Retrying ${retried} message(s)...`);
+    }
+  }
+
+  setReadReceipts(setting) {
+    if (setting === 'on' || setting === 'off') {
+      this.readReceipts = setting === 'on';
+    } else if (setting) {
+      this.displaySystemMessage('Usage: /receipts [on|off]');
+      return;
+    }
+
+    this.displaySystemMessage(this.readReceipts
+      ? 'Read receipts are on: senders see when their messages were shown here.'
+      : 'Read receipts are off. Use "/receipts on" to let senders see when you read their messages.');
+  }
+
+  // Send read receipts for messages now on screen that have not had one yet
+  sendReadReceipts(displayMessages) {
+    if (!this.readReceipts) return;
+
+    const unseen = displayMessages.filter(msg => msg.fromNodeId && msg.messageId && !this.receiptsSent.has(msg.messageId));
+    if (unseen.length === 0) return;
+
+    unseen.forEach(msg => this.receiptsSent.add(msg.messageId));
+    this.node.sendReadReceipts(this.currentChat.id, unseen);
+  }
+
+  handleTypingNotice(nodeId, chatId) {
+    if (!this.typingUsers.has(chatId)) {
+      this.typingUsers.set(chatId, new Map());
+    }
+    this.typingUsers.get(chatId).set(nodeId, Date.now() + TYPING_INDICATOR_TIMEOUT);
+    this.scheduleTypingExpiry();
+
+    if (this.mode === CHAT_MODES.CHAT && this.currentChat && this.currentChat.id === chatId) {
+      this.refreshPreservingInput();
+    }
+  }
+
+  // Redraw once the next typing indicator runs out
+  scheduleTypingExpiry() {
+    clearTimeout(this.typingTimer);
+
+    const expiries = [];
+    for (const users of this.typingUsers.values()) expiries.push(...users.values());
+    if (expiries.length === 0) return;
+
+    this.typingTimer = setTimeout(() => {
+      const now = Date.now();
+      for (const [chatId, users] of this.typingUsers) {
+        for (const [nodeId, expires] of users) {
+          if (expires <= now) users.delete(nodeId);
+        }
+        if (users.size === 0) this.typingUsers.delete(chatId);
+      }
+      this.scheduleTypingExpiry();
+      if (this.mode === CHAT_MODES.CHAT && this.currentChat) {
+        this.refreshPreservingInput();
+      }
+    }, Math.max(0, Math.min(...expiries) - Date.now()));
+  }
+
+  // Status line under the messages: who is typing, and who has read our
+  // latest message
+  drawChatFooter(terminalWidth) {
+    const chatId = this.currentChat.id;
+    const parts = [];
+
+    const typing = Array.from(this.typingUsers.get(chatId)?.keys() || [])
+      .map(nodeId => this.getDisplayName(chatId, nodeId.slice(-8)));
+    if (typing.length === 1) {
+      parts.push(`${typing[0]} is typing...`);
+    } else if (typing.length === 2) {
+      parts.push(`${typing[0]} and ${typing[1]} are typing...`);
+    } else if (typing.length > 2) {
+      parts.push(`${typing.length} people are typing...`);
+    }
+
+    const lastOwn = (this.messages.get(chatId) || []).filter(msg => msg.from === 'You' && msg.messageId).pop();
+    const delivery = lastOwn && this.node.getDeliveryStatus(lastOwn.messageId);
+    if (delivery && delivery.readBy.length > 0) {
+      const readers = delivery.readBy.map(nodeId => this.getDisplayName(chatId, nodeId.slice(-8)));
+      parts.push(readers.length > 3 ? `Seen by ${readers.length} of ${delivery.recipients}` : `Seen by ${readers.join(', ')}`);
+    }
+
+    const footer = parts.join(' · ');
+    console.log(chalk.dim.gray('  ' + footer.slice(0, Math.max(0, terminalWidth - 4))));
+  }
+
+  // Wrapped text of a message, the quote drawn above a reply, the markers
+  // drawn after it ("(edited)", delivery status) and the reactions line under
+  // it. Drawing and selectMessagesToFit both use this, so they agree on how
+  // many lines a message takes.
+  layoutMessage(msg, maxTextWidth) {
+    const quote = this.getQuote(msg, maxTextWidth);
+    const reactions = this.formatReactions(msg, maxTextWidth);
+    if (msg.deleted) {
+      return { quote, reactions, text: 'message deleted', suffix: '' };
+    }
+
+    const markers = [];
+    if (msg.edited) markers.push({ text: '(edited)', color: chalk.dim.gray });
+    if (msg.unsigned) markers.push({ text: '(unsigned)', color: chalk.yellow });
+    if (msg.imported) markers.push({ text: '(imported by host)', color: chalk.yellow });
+    const label = this.getDeliveryLabel(msg);
+    if (label) markers.push(label);
+
+    const markerWidth = markers.reduce((width, marker) => width + marker.text.length + 1, 0);
+    return {
+      quote,
+      reactions,
+      text: this.wrapText(msg.text, maxTextWidth - markerWidth),
+      suffix: markers.map(marker => ' ' + marker.color(marker.text)).join('')
+    };
+  }
+
+  // Delivery status shown after our own messages, or null for everyone else's
+  getDeliveryLabel(msg) {
+    if (msg.from !== 'You' || !msg.messageId) return null;
+
+    const delivery = this.node.getDeliveryStatus(msg.messageId);
+    if (!delivery) return null;
+
+    switch (delivery.status) {
+      case DELIVERY_STATUS.SENDING:
+        return { text: delivery.attempts > 1 ? `⋯ sending (attempt ${delivery.attempts})` : '⋯ sending', color: chalk.dim.gray };
+      case DELIVERY_STATUS.FAILED:
+        return { text: '✗ not delivered, /retry to resend', color: chalk.red };
+      default:
+        if (delivery.recipients === 0 || delivery.delivered === 0) {
+          return { text: '✓ delivered to host', color: chalk.dim.gray };
+        }
+        return { text: `✓✓ delivered to ${delivery.delivered} of ${delivery.recipients}`, color: chalk.dim.gray };
+    }
+  }
+
 
   showNodes() {
     const peerCount = this.node.peerKeys.size;
@@ -830,8 +1926,13 @@ export class CLIInterface {
   enterChat(chat) {
     this.currentPath = `/${chat.name}`;
     this.currentChat = chat;
+    this.threadView = null;
+    this.scrollToBottom();
     this.mode = CHAT_MODES.CHAT;
     
+    // Register as a participant so messages get sealed for us
+    this.node.joinChat(chat.id);
+    
     // Enter alternative screen buffer to prevent scroll-up access to previous content
     process.stdout.write('\x1b[?1049h');
     
@@ -869,12 +1970,19 @@ export class CLIInterface {
     
     // Calculate available space for messages (header + footer)
     const headerHeight = 6; // Header has 6 lines: buffer line + ╔═══╗, ║title║, ║empty║, ║commands║, ╚═══╝
-    const footerHeight = 1; // Input line
-    const availableHeight = Math.max(5, terminalHeight - headerHeight - footerHeight);
+    const footerHeight = 2; // Typing/read status line + input line
+    const older = this.olderHistory.get(this.currentChat.id);
+    const showOlderHint = !this.threadView && older && older.hasMore;
+    const scrolled = this.scrollOffset > 0;
+    const availableHeight = Math.max(5, terminalHeight - headerHeight - footerHeight - (showOlderHint ? 1 : 0) - (scrolled ? 1 : 0));
+
+    if (showOlderHint) {
+      console.log(chalk.dim.gray('  ↑ older messages on the host: PageUp at the top, or /more'));
+    }
     
     // Get messages to display (limit by actual rendered lines, not message count)
-    const chatMessages = this.messages.get(this.currentChat.id) || [];
-    const displayMessages = this.selectMessagesToFit(chatMessages, terminalWidth, availableHeight);
+    const chatMessages = this.getVisibleMessages(this.currentChat.id);
+    const displayMessages = this.selectScrolledMessages(chatMessages, terminalWidth, availableHeight);
     
     // Display messages with proper formatting
     const renderedLines = this.drawChatMessages(displayMessages, terminalWidth, availableHeight);
@@ -884,15 +1992,33 @@ export class CLIInterface {
     if (remainingLines > 0) {
       console.log('\n'.repeat(remainingLines));
     }
+
+    if (scrolled) {
+      this.drawScrollIndicator(terminalWidth);
+    }
+
+    this.drawChatFooter(terminalWidth);
+
+    // Everything drawn above counts as read
+    this.sendReadReceipts(displayMessages);
   }
   
   drawChatHeader(terminalWidth) {
     const chatName = this.currentChat.name.toUpperCase();
     const peerCount = this.node.peerKeys ? this.node.peerKeys.size : 0;
     const statusIcon = peerCount > 0 ? '🟢' : '🔴';
-    const headerTitle = `${statusIcon} ${chatName} (${peerCount} peers)`;
-    const commands = '/exit /help /clear /colors /name';
+    let headerTitle = `${statusIcon} ${chatName} (${peerCount} peers)`;
+    let commands = '/exit /help /reply /react /thread /edit /delete';
+    if (this.threadView) {
+      headerTitle = `${statusIcon} ${chatName} › THREAD #${this.threadView.number}`;
+      commands = '/thread (back to chat) /help /exit';
+    } else if (this.currentChat.direct) {
+      // Direct messages live only on the two devices: no edits or reactions
+      headerTitle = `${statusIcon} DIRECT MESSAGE ${this.currentChat.name}`;
+      commands = '/exit /help /reply /thread /msg';
+    }
     const commandsHint = `Commands: ${commands}`;
+    const trust = this.getChatTrustSummary(this.currentChat.id);
     
     // Use the same pattern as showWelcomeBanner for consistent rendering
     const banner = '═'.repeat(terminalWidth - 2);
@@ -900,19 +2026,53 @@ export class CLIInterface {
     const cmdPadding = Math.max(0, Math.floor((terminalWidth - commandsHint.length - 2) / 2));
 
     console.log(chalk.cyan('╔' + banner + '╗'));
+    const trustPadding = Math.max(0, Math.floor((terminalWidth - this.getPlainTextLength(trust.text) - 2) / 2));
+    const trustRight = Math.max(0, terminalWidth - this.getPlainTextLength(trust.text) - trustPadding - 2);
+
     console.log(chalk.cyan('║') + ' '.repeat(titlePadding) + chalk.bold.white(headerTitle) + ' '.repeat(terminalWidth - headerTitle.length - titlePadding - 2) + chalk.cyan('║'));
-    console.log(chalk.cyan('║') + ' '.repeat(terminalWidth - 2) + chalk.cyan('║'));
+    console.log(chalk.cyan('║') + ' '.repeat(trustPadding) + trust.color(trust.text) + ' '.repeat(trustRight) + chalk.cyan('║'));
     console.log(chalk.cyan('║') + ' '.repeat(cmdPadding) + chalk.dim.gray(commandsHint) + ' '.repeat(terminalWidth - commandsHint.length - cmdPadding - 2) + chalk.cyan('║'));
     console.log(chalk.cyan('╚' + banner + '╝'));
   }
 
+  // The messages that fit on screen with `scrollOffset` of them hidden below.
+  // Near the top the offset shrinks so the screen is filled, not left half
+  // empty.
+  selectScrolledMessages(messages, terminalWidth, availableHeight) {
+    let offset = Math.min(this.scrollOffset, Math.max(0, messages.length - 1));
+    let shown = this.selectMessagesToFit(messages.slice(0, messages.length - offset), terminalWidth, availableHeight);
+    while (offset > 0 && shown.length === messages.length - offset) {
+      const more = this.selectMessagesToFit(messages.slice(0, messages.length - offset + 1), terminalWidth, availableHeight);
+      if (more.length !== messages.length - offset + 1) break;
+      offset--;
+      shown = more;
+    }
+
+    this.scrollOffset = offset;
+    this.unseenBelow = Math.min(this.unseenBelow, offset);
+    this.lastShownCount = shown.length;
+    this.atTopOfScrollback = shown.length === messages.length - offset;
+    return shown;
+  }
+
+  drawScrollIndicator(terminalWidth) {
+    const text = this.scrollOffset === 0
+      ? ''
+      : this.unseenBelow > 0
+        ? `↓ ${this.unseenBelow} new message${this.unseenBelow === 1 ? '' : 's'} below (End to jump)`
+        : `↓ ${this.scrollOffset} more below (PageDown, End)`;
+    const padding = Math.max(0, Math.floor((terminalWidth - text.length) / 2));
+    console.log(this.unseenBelow > 0 ? chalk.yellow.bold(' '.repeat(padding) + text) : chalk.dim.gray(' '.repeat(padding) + text));
+  }
+
   // Select messages that will fit in the available height without scrolling
   selectMessagesToFit(messages, terminalWidth, availableHeight) {
     if (messages.length === 0) return [];
     
     const timeStampWidth = 8; // [HH:MM]
     const nameMaxWidth = 15; // Reasonable max for display names
-    const prefixWidth = timeStampWidth + nameMaxWidth + 6; // spacing and colons
+    const numberWidth = 5; // #123
+    const prefixWidth = timeStampWidth + nameMaxWidth + numberWidth + 6; // spacing and colons
     const maxTextWidth = Math.max(40, terminalWidth - prefixWidth);
     
     let totalLines = 1; // Start with 1 for the space after header
@@ -923,8 +2083,8 @@ export class CLIInterface {
       const msg = messages[i];
       
       // Calculate lines this message will take
-      const wrappedText = this.wrapText(msg.text, maxTextWidth);
-      const messageLines = wrappedText.split('\n').length;
+      const body = this.layoutMessage(msg, maxTextWidth);
+      const messageLines = body.text.split('\n').length + (body.quote ? 1 : 0) + (body.reactions ? 1 : 0);
       
       // Add spacing between message groups
       let spacingLines = 0;
@@ -1014,24 +2174,36 @@ export class CLIInterface {
       // Calculate available width for message text
       const timeStampWidth = 8; // [HH:MM] 
       const nameMaxWidth = 15; // Reasonable max for display names
-      const prefixWidth = timeStampWidth + nameMaxWidth + 6; // spacing and colons
+      const numberWidth = 5; // #123
+      const prefixWidth = timeStampWidth + nameMaxWidth + numberWidth + 6; // spacing and colons
       const maxTextWidth = Math.max(40, terminalWidth - prefixWidth);
       
       const timeColor = chalk.dim.gray;
+      const highlighted = msg.messageId && msg.messageId === this.highlightedMessageId;
+      const number = msg.number ? (highlighted ? chalk.black.bgYellow(`#${msg.number}`) + ' ' : chalk.dim.gray(`#${msg.number} `)) : '';
+      const body = this.layoutMessage(msg, maxTextWidth);
+      const msgText = body.text;
+      const shownText = msg.deleted ? chalk.dim.italic(msgText) : msgText;
       
-      let msgText;
+      if (body.quote) {
+        console.log(chalk.dim.gray(`      ┌ ${body.quote}`));
+        linesRendered += 1;
+      }
+
       if (msg.from === 'System') {
-        msgText = this.wrapText(msg.text, maxTextWidth);
         console.log(chalk.yellow(`  ${timeColor(`[${timestamp}]`)} ${chalk.bold('System')}: ${msgText}`));
       } else if (msg.from === 'You') {
         const displayName = this.getDisplayName(this.currentChat.id, 'You');
-        msgText = this.wrapText(msg.text, maxTextWidth);
-        console.log(chalk.green(`  ${timeColor(`[${timestamp}]`)} ${chalk.bold(displayName)}: ${msgText}`));
+        console.log(`  ${number}` + chalk.green(`${timeColor(`[${timestamp}]`)} ${chalk.bold(displayName)}: ${shownText}`) + body.suffix);
       } else {
         const displayName = this.getDisplayName(this.currentChat.id, msg.from);
         const userColor = this.getColorForUser(this.currentChat.id, displayName);
-        msgText = this.wrapText(msg.text, maxTextWidth);
-        console.log(`  ${timeColor(`[${timestamp}]`)} ${userColor(chalk.bold(displayName))}: ${msgText}`);
+        console.log(`  ${number}${timeColor(`[${timestamp}]`)} ${userColor(chalk.bold(displayName))}: ${shownText}${body.suffix}`);
+      }
+      
+      if (body.reactions) {
+        console.log(chalk.dim(`      ${body.reactions}`));
+        linesRendered += 1;
       }
       
       // Count lines for this message (wrapped text can be multiple lines)
@@ -1174,6 +2346,7 @@ export class CLIInterface {
     
     this.currentPath = '/';
     this.currentChat = null;
+    this.threadView = null;
     this.mode = CHAT_MODES.DIRECTORY;
     
     console.clear();
@@ -1230,7 +2403,7 @@ export class CLIInterface {
     this.displaySystemMessage(`✅ Name set to "${name}" for this chat.`);
   }
 
-  handleNameChange(chatId, fromNode, customName) {
+  handleNameChange(chatId, fromNode, customName, fromNodeId) {
     // Store the custom name for this user in this chat
     if (!this.customNames.has(chatId)) {
       this.customNames.set(chatId, new Map());
@@ -1239,6 +2412,12 @@ export class CLIInterface {
     const chatNames = this.customNames.get(chatId);
     const previousName = chatNames.get(fromNode);
     chatNames.set(fromNode, customName);
+
+    // A new key means a new nodeId, so a key change shows up as someone new
+    // taking the name of a peer we verified. The trust store keeps it.
+    if (this.node.observePeerLabel(fromNodeId, customName) && this.currentChat && this.currentChat.id === chatId) {
+      this.displaySystemMessage(`🚨 KEY CHANGED: ${fromNode} uses the name "${customName}", verified earlier with a different key! Run /verify ${fromNode}`);
+    }
     
     // Show notification if we're currently in this chat
     if (this.currentChat && this.currentChat.id === chatId) {
@@ -1262,31 +2441,138 @@ export class CLIInterface {
   enforceMessageLimit(chatId) {
     if (!this.messages.has(chatId)) return;
     
+    // Messages fetched with /more are kept on top of the limit
     const messages = this.messages.get(chatId);
-    if (messages.length > this.maxMessagesPerChat) {
-      // Remove oldest messages to stay within limit
-      const messagesToRemove = messages.length - this.maxMessagesPerChat;
+    const older = this.olderHistory.get(chatId);
+    const limit = this.maxMessagesPerChat + (older ? older.loaded : 0);
+    if (messages.length > limit) {
+      // Remove oldest messages to stay within limit; PageUp and /more bring
+      // them back from the host, or from what the node kept of them
+      const messagesToRemove = messages.length - limit;
       messages.splice(0, messagesToRemove);
+      this.olderHistory.set(chatId, { loaded: older ? older.loaded : 0, hasMore: true, cursor: null });
     }
   }
 
   broadcastNameChange(name) {
     if (!this.currentChat) return;
     
-    const targets = Array.from(this.node.peerKeys.keys());
-    if (targets.length === 0) return;
-    
     try {
-      // Send name change notification to all peers
+      // Send name change notification to the chat's members
       const nameChangeMessage = `__NAME_CHANGE__:${name}`;
-      targets.forEach(nodeId => {
-        this.node.sendMessage(this.currentChat.id, nameChangeMessage, nodeId);
-      });
+      this.node.sendChatMessage(this.currentChat.id, nameChangeMessage);
     } catch (error) {
       console.error('Failed to broadcast name change:', error);
     }
   }
 
+  // Resolve a user argument (short id, full nodeId or display name in the current chat)
+  resolvePeer(user) {
+    const knownPeers = Array.from(this.node.peerIdentities.keys());
+
+    const byId = knownPeers.find(nodeId => nodeId === user || nodeId.endsWith(user));
+    if (byId) return byId;
+
+    if (this.currentChat && this.customNames.has(this.currentChat.id)) {
+      for (const [shortId, name] of this.customNames.get(this.currentChat.id).entries()) {
+        if (name === user && shortId !== 'You') {
+          return knownPeers.find(nodeId => nodeId.endsWith(shortId)) || null;
+        }
+      }
+    }
+    return null;
+  }
+
+  // verify                   - list peers and their verification status
+  // verify <user>            - show the safety number to compare out of band
+  // verify <user> confirm    - mark the peer verified (persisted)
+  // verify <user> reset      - forget a previous verification
+  verifyPeer(args) {
+    const inChat = this.mode === CHAT_MODES.CHAT;
+    const output = (message) => inChat ? this.displaySystemMessage(message, false) : console.log(message);
+    const prefix = inChat ? '/verify' : 'verify';
+    const [user, action] = args;
+
+    if (!user) {
+      const peers = Array.from(this.node.peerIdentities.keys());
+      if (peers.length === 0) {
+        output('No peer identities known yet.');
+      } else {
+        output('Peer verification status:');
+        for (const nodeId of peers) {
+          const status = this.node.getPeerTrustStatus(nodeId);
+          const badge = status === 'verified' ? chalk.green('✔ verified') :
+                        status === 'changed' ? chalk.bgRed.white(' KEY CHANGED ') : chalk.yellow('unverified');
+          output(`  ${nodeId.slice(-8)}  ${badge}`);
+        }
+        output(`💡 Use "${prefix} <user>" to compare safety numbers.`);
+      }
+    } else {
+      const nodeId = this.resolvePeer(user);
+      if (!nodeId) {
+        output(`❌ Unknown peer "${user}". Use "${prefix}" to list known peers.`);
+      } else if (action === 'confirm') {
+        const label = this.currentChat ? this.getDisplayName(this.currentChat.id, nodeId.slice(-8)) : nodeId.slice(-8);
+        this.node.markPeerVerified(nodeId, label);
+        output(`✅ ${label} (${nodeId.slice(-8)}) marked as verified.`);
+      } else if (action === 'reset') {
+        this.node.clearPeerVerification(nodeId);
+        output(`Verification for ${nodeId.slice(-8)} cleared.`);
+      } else {
+        const status = this.node.getPeerTrustStatus(nodeId);
+        output(`Safety number with ${nodeId.slice(-8)}:`);
+        for (const row of formatSafetyNumber(this.node.getSafetyNumber(nodeId))) {
+          output(`    ${row}`);
+        }
+        if (status === 'changed') {
+          const holder = this.node.trustStore.findClaimedBy(nodeId);
+          output(`🚨 This peer uses the name "${holder.label}", which you verified with a DIFFERENT key (${holder.nodeId.slice(-8)}). Compare again before trusting them!`);
+        } else if (status === 'verified') {
+          output('✔ This peer is verified.');
+        }
+        output(`Compare these numbers with ${nodeId.slice(-8)} in person or over a trusted channel.`);
+        output(`If they match, run "${prefix} ${user} confirm".`);
+      }
+    }
+
+    if (inChat) {
+      this.refreshChatDisplay();
+    }
+  }
+
+  // One-line verification summary for the chat header
+  getChatTrustSummary(chatId) {
+    const chat = this.node.chats.get(chatId);
+    const members = (chat?.participants || []).filter(nodeId => nodeId !== this.node.nodeId);
+
+    const changed = members.filter(nodeId => this.node.getPeerTrustStatus(nodeId) === 'changed');
+    if (changed.length > 0) {
+      const who = changed.map(nodeId => `${nodeId.slice(-8)} as "${this.node.trustStore.findClaimedBy(nodeId).label}"`).join(', ');
+      return { text: `🚨 KEY CHANGED: ${who} - run /verify`, color: chalk.bgRed.white };
+    }
+
+    const verified = members.filter(nodeId => this.node.getPeerTrustStatus(nodeId) === 'verified').length;
+    if (members.length === 0) {
+      return { text: '', color: chalk.dim.gray };
+    }
+    return {
+      text: `🔏 ${verified}/${members.length} participants verified`,
+      color: verified === members.length ? chalk.green : chalk.dim.gray
+    };
+  }
+
+  showKeyChangeWarnings() {
+    if (!this.node.trustStore) return;
+
+    for (const warning of this.node.trustStore.getKeyChangeWarnings()) {
+      const name = warning.label || warning.nodeId.slice(-8);
+      for (const change of warning.keyChanges) {
+        console.log(chalk.bgRed.white(` 🚨 Verified peer ${name} showed up with a different key (${change.nodeId.slice(-8)}) on ${change.seenAt}. `));
+        console.log(chalk.red(`   Run "verify ${change.nodeId.slice(-8)}" to compare safety numbers again.`));
+      }
+    }
+  }
+
   showColorAssignments() {
     if (!this.currentChat || !this.chatColorAssignments.has(this.currentChat.id)) {
       this.displaySystemMessage('No color assignments yet in this chat.');
@@ -1316,6 +2602,16 @@ export class CLIInterface {
   showChatHelp() {
     this.displaySystemMessage('Chat commands: /exit (leave chat), /help (this help), /clear (refresh screen)', false);
     this.displaySystemMessage('/colors (show participants), /name <name> (set custom name for this chat)', false);
+    this.displaySystemMessage('/verify [user] [confirm|reset] (compare safety numbers and mark peers verified)', false);
+    this.displaySystemMessage('/edit [n] <text>, /delete [n] (change or remove message #n, or your last one)', false);
+    this.displaySystemMessage('/reply <n> <text> (answer message #n), /thread <n> (show only its thread; /thread to go back)', false);
+    this.displaySystemMessage('/react <n> <emoji> (react to message #n; again to remove)', false);
+    this.displaySystemMessage('/msg <user> [text] (switch to your private chat with one peer)', false);
+    this.displaySystemMessage('PageUp/PageDown scroll, Home/End jump to the oldest/newest message; /more [n] loads older ones from the host', false);
+    this.displaySystemMessage('/search <words> [from:<user>] [since:<date>] [until:<date>] (search this chat), /jump <n> (show result n)', false);
+    this.displaySystemMessage('/export [txt|md|json|html] [path] (save this chat as a transcript)', false);
+    this.displaySystemMessage('/retry (resend your messages that were not delivered)', false);
+    this.displaySystemMessage('/receipts [on|off] (let senders see when you read their messages; off by default)', false);
     this.displaySystemMessage('Just type your message and press Enter to send it!', false);
     if (this.mode === CHAT_MODES.CHAT) {
       this.refreshChatDisplay();
@@ -1335,12 +2631,16 @@ export class CLIInterface {
     
     console.log(chalk.bold.cyan('\n💬 Chat Management:'));
     console.log(chalk.cyan('  mkdir <name>') + '    - ' + chalk.gray('Create a new chat room'));
+    console.log(chalk.cyan('  msg <user>') + '      - ' + chalk.gray('Open a private chat with one peer'));
+    console.log(chalk.cyan('  grep <words>') + '    - ' + chalk.gray('Search every chat (from:<user> since:<date> until:<date>)'));
+    console.log(chalk.cyan('  jump <n>') + '        - ' + chalk.gray('Open search result n in its chat'));
     console.log(chalk.cyan('  /exit') + '           - ' + chalk.gray('Leave current chat (when in chat mode)'));
     console.log(chalk.cyan('  /clear') + '          - ' + chalk.gray('Clear chat screen (when in chat mode)'));
     
     console.log(chalk.bold.cyan('\n🌐 Network:'));
     console.log(chalk.cyan('  discover') + '        - ' + chalk.gray('Find other MELQ nodes on network'));
     console.log(chalk.cyan('  nodes') + '           - ' + chalk.gray('Show connected peers and status'));
+    console.log(chalk.cyan('  verify <user>') + '   - ' + chalk.gray('Compare safety numbers; add "confirm" to mark verified'));
     
     console.log(chalk.bold.cyan('\n🔧 Utilities:'));
     console.log(chalk.cyan('  clear') + '           - ' + chalk.gray('Clear terminal screen'));
@@ -1410,6 +2710,18 @@ export class CLIInterface {
       console.log(chalk.dim.gray(`  ${tunnelIcon} Tunnel: ${chalk.white(this.connectionInfo.tunnelMethod)}`));
     }
     
+    if (this.node.hostLink) {
+      const hostKey = keyFingerprint(this.node.hostLink.signingKey);
+      const pinStatus = this.node.hostLink.pinned ? chalk.green('pinned ✓') : chalk.yellow('not pinned ⚠️');
+      console.log(chalk.dim.gray(`  🔑 Host key: ${chalk.white(hostKey)} (${pinStatus})`));
+      const kemLabel = this.node.hostLink.kem === 'x25519-ml-kem-768' ? 'X25519 + ML-KEM-768 (hybrid)' : 'ML-KEM-768';
+      console.log(chalk.dim.gray(`  🔐 Key exchange: ${chalk.white(kemLabel)}`));
+    }
+
+    if (this.node.hostProtocol) {
+      console.log(chalk.dim.gray(`  📜 Protocol: ${chalk.white(`v${this.node.hostProtocol.protocolVersion}`)} (${this.node.hostProtocol.capabilities.join(', ')})`));
+    }
+    
     const peerCount = this.node.peerKeys ? this.node.peerKeys.size : 0;
     const peerStatus = peerCount > 0 ? chalk.green(`${peerCount} peers`) : chalk.yellow('No peers yet');
     console.log(chalk.dim.gray(`  👥 Network: ${peerStatus}`));
@@ -1472,6 +2784,7 @@ export class CLIInterface {
   start() {
     this.lastActivity = Date.now(); // Set initial start time
     this.showWelcomeBanner();
+    this.showKeyChangeWarnings();
     this.rl.prompt();
   }
 
@@ -1516,6 +2829,7 @@ export class CLIInterface {
         process.stdout.write('\x1b[?1049l');
         this.mode = CHAT_MODES.DIRECTORY;
         this.currentChat = null;
+        this.threadView = null;
       }
 
       // Clear all local data
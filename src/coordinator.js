@@ -1,6 +1,7 @@
 import Fastify from 'fastify';
 import { WebSocketServer } from 'ws';
 import { Command } from 'commander';
+import { ERROR_CODES, protocolError } from './network/protocol.js';
 
 const fastify = Fastify({ logger: true });
 
@@ -105,6 +106,16 @@ fastify.register(async function (fastify) {
       case 'ping':
         ws.send(JSON.stringify({ type: 'pong' }));
         break;
+
+      case 'hello':
+        // Current clients open with a hello; this coordinator only speaks protocol 1
+        ws.send(JSON.stringify(protocolError(
+          ERROR_CODES.UNSUPPORTED_VERSION,
+          'This is a legacy MELQ coordinator (protocol 1). Ask the host to run `melq --host` instead.',
+          { supportedVersions: { min: 1, max: 1 } }
+        )));
+        ws.close(1002, ERROR_CODES.UNSUPPORTED_VERSION);
+        break;
     }
   }
 
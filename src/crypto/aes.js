@@ -11,10 +11,11 @@ export class AESCrypto {
     return crypto.randomBytes(this.keyLength);
   }
 
-  encrypt(plaintext, key) {
+  // aad is authenticated but not encrypted; decrypt must be given the same value
+  encrypt(plaintext, key, aad = 'melq-chat') {
     const iv = crypto.randomBytes(this.ivLength);
     const cipher = crypto.createCipheriv(this.algorithm, key, iv);
-    cipher.setAAD(Buffer.from('melq-chat', 'utf8'));
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
     
     let encrypted = cipher.update(plaintext, 'utf8', 'base64');
     encrypted += cipher.final('base64');
@@ -28,11 +29,11 @@ export class AESCrypto {
     };
   }
 
-  decrypt(encryptedData, key) {
+  decrypt(encryptedData, key, aad = 'melq-chat') {
     const { encrypted, iv, authTag } = encryptedData;
     
     const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(iv, 'base64'));
-    decipher.setAAD(Buffer.from('melq-chat', 'utf8'));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
     decipher.setAuthTag(Buffer.from(authTag, 'base64'));
     
     let decrypted = decipher.update(encrypted, 'base64', 'utf8');
@@ -40,14 +41,4 @@ export class AESCrypto {
     
     return decrypted;
   }
-
-  deriveKeyFromSharedSecret(sharedSecret) {
-    return crypto.pbkdf2Sync(
-      Buffer.from(sharedSecret, 'base64'),
-      Buffer.from('melq-salt', 'utf8'),
-      100000,
-      this.keyLength,
-      'sha256'
-    );
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 1024;
+
+// 30 digits (six blocks of five) for one party, derived from its signing key
+function partyDigits(nodeId, signingKey) {
+  const key = Buffer.from(signingKey, 'base64');
+  const version = Buffer.alloc(2);
+  version.writeUInt16BE(FINGERPRINT_VERSION);
+
+  let hash = crypto.createHash('sha512').update(Buffer.concat([version, key, Buffer.from(nodeId, 'utf8')])).digest();
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = crypto.createHash('sha512').update(Buffer.concat([hash, key])).digest();
+  }
+
+  const blocks = [];
+  for (let i = 0; i < 30; i += 5) {
+    const chunk = hash.readUIntBE(i, 5); // 40 bits
+    blocks.push(String(chunk % 100000).padStart(5, '0'));
+  }
+  return blocks;
+}
+
+// Safety number over both parties' long-term keys. It is the same on both sides
+// because the parties are ordered by nodeId before combining.
+export function computeSafetyNumber(local, remote) {
+  const parties = [local, remote].sort((a, b) => (a.nodeId < b.nodeId ? -1 : 1));
+  return parties.flatMap(party => partyDigits(party.nodeId, party.signingKey));
+}
+
+// Twelve blocks laid out as three rows of four for reading aloud
+export function formatSafetyNumber(blocks) {
+  const rows = [];
+  for (let i = 0; i < blocks.length; i += 4) {
+    rows.push(blocks.slice(i, i + 4).join(' '));
+  }
+  return rows;
+}
+
+// Compact 128-bit fingerprint of a host's identity key, as embedded in connection codes
+export function hostKeyFingerprint(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex').slice(0, 32);
+}
+
+// Short, human-comparable fingerprint of a single public key
+export function keyFingerprint(publicKey) {
+  return hostKeyFingerprint(publicKey).match(/.{4}/g).join(':');
+}
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { MLKEM } from './mlkem.js';
+
+export const KEM_MODES = {
+  MLKEM: 'ml-kem-768',
+  HYBRID: 'x25519-ml-kem-768'
+};
+
+const COMBINER_LABEL = Buffer.from('melq-x25519-ml-kem-768-v1', 'utf8');
+
+function toBase64Url(base64) {
+  return Buffer.from(base64, 'base64').toString('base64url');
+}
+
+function x25519PublicKeyObject(publicKeyBase64) {
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'X25519', x: toBase64Url(publicKeyBase64) },
+    format: 'jwk'
+  });
+}
+
+function x25519(privateKey, publicKeyBase64) {
+  const secret = crypto.diffieHellman({ privateKey, publicKey: x25519PublicKeyObject(publicKeyBase64) });
+  // Low-order points give an all-zero result and contribute nothing
+  if (secret.every(byte => byte === 0)) {
+    throw new Error('Invalid X25519 public key');
+  }
+  return secret;
+}
+
+// Hybrid key agreement: ML-KEM-768 and X25519 side by side, combined into one
+// secret that stays safe as long as either of them holds. When the peer has no
+// X25519 key (older clients) it falls back to plain ML-KEM-768, unless the
+// caller passes requireHybrid because both sides are known to support it.
+export class HybridKEM {
+  constructor() {
+    this.mlkem = new MLKEM();
+  }
+
+  async generateKeyPair() {
+    const { publicKey, privateKey } = await this.mlkem.generateKeyPair();
+    const x25519 = crypto.generateKeyPairSync('x25519');
+    const jwk = x25519.privateKey.export({ format: 'jwk' });
+
+    return {
+      publicKey,
+      privateKey,
+      x25519PublicKey: Buffer.from(jwk.x, 'base64url').toString('base64'),
+      x25519PrivateKey: Buffer.from(jwk.d, 'base64url').toString('base64')
+    };
+  }
+
+  // SHA3-256(label || ss_mlkem || ss_x25519 || ct_x25519 || pk_x25519), the
+  // X-Wing style combiner from the IETF hybrid KEM drafts
+  combine(mlkemSecret, x25519Secret, x25519Ciphertext, x25519PublicKey) {
+    return crypto.createHash('sha3-256')
+      .update(COMBINER_LABEL)
+      .update(Buffer.from(mlkemSecret, 'base64'))
+      .update(x25519Secret)
+      .update(Buffer.from(x25519Ciphertext, 'base64'))
+      .update(Buffer.from(x25519PublicKey, 'base64'))
+      .digest('base64');
+  }
+
+  async encapsulate(publicKey, x25519PublicKey = null, { requireHybrid = false } = {}) {
+    if (requireHybrid && !x25519PublicKey) {
+      throw new Error('Hybrid key exchange was negotiated, but there is no valid X25519 key to use');
+    }
+
+    const { ciphertext, sharedSecret } = await this.mlkem.encapsulate(publicKey);
+    if (!x25519PublicKey) {
+      return { mode: KEM_MODES.MLKEM, ciphertext, sharedSecret };
+    }
+
+    // The X25519 "ciphertext" is a fresh ephemeral public key
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const x25519Secret = x25519(ephemeral.privateKey, x25519PublicKey);
+    const x25519Ciphertext = Buffer.from(ephemeral.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64');
+
+    return {
+      mode: KEM_MODES.HYBRID,
+      ciphertext,
+      x25519Ciphertext,
+      sharedSecret: this.combine(sharedSecret, x25519Secret, x25519Ciphertext, x25519PublicKey)
+    };
+  }
+
+  async decapsulate({ mode = KEM_MODES.MLKEM, ciphertext, x25519Ciphertext }, keyPair, { requireHybrid = false } = {}) {
+    if (requireHybrid && mode !== KEM_MODES.HYBRID) {
+      throw new Error('Hybrid key exchange was negotiated, but the other side used plain ML-KEM (possible downgrade)');
+    }
+
+    const mlkemSecret = await this.mlkem.decapsulate(ciphertext, keyPair.privateKey);
+    if (mode === KEM_MODES.MLKEM) {
+      return mlkemSecret;
+    }
+    if (mode !== KEM_MODES.HYBRID || !x25519Ciphertext) {
+      throw new Error(`Unsupported key exchange mode: ${mode}`);
+    }
+
+    const privateKey = crypto.createPrivateKey({
+      key: {
+        kty: 'OKP',
+        crv: 'X25519',
+        x: toBase64Url(keyPair.x25519PublicKey),
+        d: toBase64Url(keyPair.x25519PrivateKey)
+      },
+      format: 'jwk'
+    });
+    const x25519Secret = x25519(privateKey, x25519Ciphertext);
+
+    return this.combine(mlkemSecret, x25519Secret, x25519Ciphertext, keyPair.x25519PublicKey);
+  }
+}
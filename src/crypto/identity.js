@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { MLDSA } from './mldsa.js';
+
+const IDENTITY_VERSION = 1;
+
+// Base directory for everything MELQ keeps between sessions (MELQ_HOME overrides it)
+export function getMelqHome() {
+  return process.env.MELQ_HOME || join(homedir(), '.melq');
+}
+
+// Node IDs are bound to the long-term signing key, so nobody can claim one
+// without holding the matching private key. 128 bits of the hash keep a
+// second key with the same ID out of reach.
+export function deriveNodeId(signingPublicKey) {
+  const digest = crypto.createHash('sha256').update(Buffer.from(signingPublicKey, 'base64')).digest('hex');
+  return `node_${digest.slice(0, 32)}`;
+}
+
+// Unambiguous encoding of the fields covered by a signature
+export function signaturePayload(...fields) {
+  return JSON.stringify(fields);
+}
+
+export class IdentityStore {
+  constructor(baseDir = join(getMelqHome(), 'identity')) {
+    this.baseDir = baseDir;
+    this.mldsa = new MLDSA();
+  }
+
+  getIdentityPath(name) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid identity name "${name}" (use letters, numbers, hyphens, and underscores)`);
+    }
+    return join(this.baseDir, `${name}.json`);
+  }
+
+  // Load the named identity, creating it on first use
+  loadOrCreate(name = 'default') {
+    const identityPath = this.getIdentityPath(name);
+
+    if (fs.existsSync(identityPath)) {
+      const stored = JSON.parse(fs.readFileSync(identityPath, 'utf8'));
+      if (!stored.publicKey || !stored.privateKey) {
+        throw new Error(`Identity file ${identityPath} is corrupt`);
+      }
+      return { ...stored, name, nodeId: deriveNodeId(stored.publicKey), isNew: false };
+    }
+
+    const { publicKey, privateKey } = this.mldsa.generateKeyPair();
+    const identity = {
+      version: IDENTITY_VERSION,
+      algorithm: 'ML-DSA-65',
+      publicKey,
+      privateKey,
+      created: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.baseDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(identityPath, JSON.stringify(identity, null, 2), { mode: 0o600 });
+
+    return { ...identity, name, nodeId: deriveNodeId(publicKey), isNew: true };
+  }
+}
@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+import { signaturePayload } from './identity.js';
+
+const KEY_LENGTH = 32; // AES-256
+
+// Salt bound to the handshake that produced the secret (who, with whom, which
+// ciphertext), so two sessions never share keys even if a secret repeats.
+export function transcriptSalt(...fields) {
+  return crypto.createHash('sha256').update(signaturePayload('melq-key-schedule-v1', ...fields)).digest();
+}
+
+function expand(secret, salt, info) {
+  return Buffer.from(crypto.hkdfSync('sha256', Buffer.from(secret, 'base64'), salt, info, KEY_LENGTH));
+}
+
+// HKDF-SHA256 over a shared secret, once per session. Each direction gets its
+// own key: our send key is the peer's receive key and the other way round.
+export function deriveSessionKeys(secret, salt, localId, remoteId) {
+  return {
+    secret,
+    salt,
+    sendKey: expand(secret, salt, `melq ${localId} -> ${remoteId}`),
+    receiveKey: expand(secret, salt, `melq ${remoteId} -> ${localId}`)
+  };
+}
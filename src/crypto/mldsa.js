@@ -0,0 +1,35 @@
+import { ml_dsa65 } from '@noble/post-quantum/ml-dsa';
+
+export class MLDSA {
+  constructor() {
+    this.mldsa = ml_dsa65; // Using ML-DSA-65 (FIPS 204, category 3)
+  }
+
+  generateKeyPair() {
+    const { publicKey, secretKey } = this.mldsa.keygen();
+
+    return {
+      publicKey: Buffer.from(publicKey).toString('base64'),
+      privateKey: Buffer.from(secretKey).toString('base64')
+    };
+  }
+
+  sign(message, privateKeyBase64) {
+    const privateKey = new Uint8Array(Buffer.from(privateKeyBase64, 'base64'));
+    const signature = this.mldsa.sign(privateKey, new Uint8Array(Buffer.from(message, 'utf8')));
+
+    return Buffer.from(signature).toString('base64');
+  }
+
+  verify(message, signatureBase64, publicKeyBase64) {
+    try {
+      const publicKey = new Uint8Array(Buffer.from(publicKeyBase64, 'base64'));
+      const signature = new Uint8Array(Buffer.from(signatureBase64, 'base64'));
+
+      return this.mldsa.verify(publicKey, new Uint8Array(Buffer.from(message, 'utf8')), signature);
+    } catch {
+      // Malformed keys or signatures are simply invalid
+      return false;
+    }
+  }
+}
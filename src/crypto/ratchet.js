@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import { AESCrypto } from './aes.js';
+import { signaturePayload } from './identity.js';
+
+// Messages that may be skipped (lost or reordered) within one chain
+export const RATCHET_MAX_SKIP = 256;
+// Messages per direction, or time, before the sender mixes in a fresh ML-KEM secret
+export const KEM_RATCHET_INTERVAL = 50;
+export const KEM_RATCHET_MAX_AGE = 10 * 60 * 1000;
+// Messages under one sender key before it is replaced
+export const SENDER_KEY_MAX_MESSAGES = 100;
+
+function hmac(key, label) {
+  return crypto.createHmac('sha256', key).update(label).digest();
+}
+
+function hkdf(ikm, salt, info, length = 32) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// Symmetric-key ratchet: every message key comes from the chain key, which is
+// then replaced by a one-way step and wiped. Holding today's chain key does
+// not help with anything sent before.
+export class SymmetricRatchet {
+  constructor(chainKey, index = 0) {
+    this.chainKey = Buffer.from(chainKey);
+    this.index = index;
+    this.skipped = new Map(); // index -> message key, only for receiving chains
+  }
+
+  next() {
+    const messageKey = hmac(this.chainKey, 'melq-message-key');
+    const nextChainKey = hmac(this.chainKey, 'melq-chain-key');
+    this.chainKey.fill(0);
+    this.chainKey = nextChainKey;
+    return { index: this.index++, messageKey };
+  }
+
+  // Message key for a received index. Keys for skipped indices are kept until
+  // used; every key is handed out once.
+  keyFor(index) {
+    if (!Number.isSafeInteger(index) || index < 0) {
+      throw new Error('invalid ratchet index');
+    }
+
+    if (index < this.index) {
+      const key = this.skipped.get(index);
+      if (!key) throw new Error(`message key ${index} already used or expired`);
+      this.skipped.delete(index);
+      return key;
+    }
+
+    if (index - this.index > RATCHET_MAX_SKIP) {
+      throw new Error('too many skipped messages');
+    }
+
+    while (this.index < index) {
+      const { index: skippedIndex, messageKey } = this.next();
+      this.skipped.set(skippedIndex, messageKey);
+    }
+    while (this.skipped.size > RATCHET_MAX_SKIP) {
+      const oldest = this.skipped.keys().next().value;
+      this.skipped.get(oldest).fill(0);
+      this.skipped.delete(oldest);
+    }
+    return this.next().messageKey;
+  }
+
+  // The same key keyFor would hand out, without moving the chain or using up
+  // a skipped key. For reading history, which must not spend the keys live
+  // messages still need.
+  peekKeyFor(index) {
+    if (!Number.isSafeInteger(index) || index < 0) {
+      throw new Error('invalid ratchet index');
+    }
+
+    if (index < this.index) {
+      const key = this.skipped.get(index);
+      if (!key) throw new Error(`message key ${index} already used or expired`);
+      return Buffer.from(key);
+    }
+
+    if (index - this.index > RATCHET_MAX_SKIP) {
+      throw new Error('too many skipped messages');
+    }
+
+    const copy = new SymmetricRatchet(this.chainKey, this.index);
+    try {
+      while (copy.index < index) copy.next().messageKey.fill(0);
+      return copy.next().messageKey;
+    } finally {
+      copy.destroy();
+    }
+  }
+
+  // Current state, for handing a sender key to a new member mid-chain
+  export() {
+    return { chainKey: this.chainKey.toString('base64'), index: this.index };
+  }
+
+  destroy() {
+    this.chainKey.fill(0);
+    for (const key of this.skipped.values()) key.fill(0);
+    this.skipped.clear();
+  }
+}
+
+// Pairwise channel: a symmetric ratchet per direction, plus a periodic ML-KEM
+// step. Each side keeps an ephemeral ML-KEM key pair and advertises the public
+// half; after KEM_RATCHET_INTERVAL messages or KEM_RATCHET_MAX_AGE the sender
+// encapsulates to the peer's latest key and both sides restart that
+// direction's chain from the new secret. The receiver then wipes its ephemeral private key and advertises a
+// fresh one, so a stolen state stops being useful after the next step.
+export class PairwiseRatchet {
+  constructor(mlkem, sessionKeys, localId, remoteId) {
+    this.mlkem = mlkem;
+    this.aesCrypto = new AESCrypto();
+    this.localId = localId;
+    this.remoteId = remoteId;
+
+    this.sending = this.createDirection(sessionKeys.sendKey);
+    this.receiving = this.createDirection(sessionKeys.receiveKey);
+
+    this.ownKeyPair = null; // ephemeral ML-KEM key pair the peer encapsulates to
+    this.advertisePublicKey = false;
+    this.peerPublicKey = null; // the peer's latest ephemeral key, used at most once
+    this.pendingStep = null; // encapsulation prepared in the background
+    this.onStepFailed = null; // called with the error when a prepared step could not be encapsulated
+
+    this.rotateOwnKeyPair();
+  }
+
+  createDirection(secret) {
+    return {
+      epoch: 0,
+      root: hkdf(secret, Buffer.alloc(0), 'melq-ratchet-root'),
+      chain: new SymmetricRatchet(hkdf(secret, Buffer.alloc(0), 'melq-ratchet-chain')),
+      sinceStep: 0,
+      steppedAt: Date.now()
+    };
+  }
+
+  // Both sides run the same derivation after a step
+  deriveStep(direction, kemSecret) {
+    const output = hkdf(Buffer.from(kemSecret, 'base64'), direction.root, 'melq-ratchet-kem-step', 64);
+    return {
+      epoch: direction.epoch + 1,
+      root: output.subarray(0, 32),
+      chain: new SymmetricRatchet(output.subarray(32)),
+      sinceStep: 0,
+      steppedAt: Date.now()
+    };
+  }
+
+  destroyDirection(direction) {
+    direction.root.fill(0);
+    direction.chain.destroy();
+  }
+
+  rotateOwnKeyPair() {
+    this.ready = this.mlkem.generateKeyPair().then(keyPair => {
+      this.ownKeyPair = keyPair;
+      this.advertisePublicKey = true;
+    });
+    return this.ready;
+  }
+
+  stepDue() {
+    return this.sending.sinceStep >= KEM_RATCHET_INTERVAL || Date.now() - this.sending.steppedAt >= KEM_RATCHET_MAX_AGE;
+  }
+
+  // Encapsulation is asynchronous, so it is prepared ahead of time and
+  // encrypt() stays synchronous and ordered.
+  prepareStep() {
+    if (this.pendingStep || !this.peerPublicKey) return;
+
+    const peerPublicKey = this.peerPublicKey;
+    this.peerPublicKey = null;
+    this.pendingStep = this.mlkem.encapsulate(peerPublicKey).then(result => {
+      this.pendingStep = result;
+    }, error => {
+      // Keep the key (unless a newer one arrived) so the next message tries again
+      this.pendingStep = null;
+      if (!this.peerPublicKey) this.peerPublicKey = peerPublicKey;
+      if (this.onStepFailed) this.onStepFailed(error);
+    });
+  }
+
+  aad(fromId, toId, header) {
+    return signaturePayload('melq-ratchet', fromId, toId, header.epoch, header.index, header.kemCiphertext || null, header.publicKey || null);
+  }
+
+  encrypt(plaintext) {
+    const header = {};
+
+    // A prepared step is applied once its encapsulation has finished
+    if (this.pendingStep && this.pendingStep.ciphertext) {
+      const previous = this.sending;
+      this.sending = this.deriveStep(previous, this.pendingStep.sharedSecret);
+      this.destroyDirection(previous);
+      header.kemCiphertext = this.pendingStep.ciphertext;
+      this.pendingStep = null;
+    }
+
+    if (this.advertisePublicKey && this.ownKeyPair) {
+      header.publicKey = this.ownKeyPair.publicKey;
+      this.advertisePublicKey = false;
+    }
+
+    const { index, messageKey } = this.sending.chain.next();
+    header.epoch = this.sending.epoch;
+    header.index = index;
+
+    const encryptedData = this.aesCrypto.encrypt(plaintext, messageKey, this.aad(this.localId, this.remoteId, header));
+    messageKey.fill(0);
+
+    this.sending.sinceStep++;
+    if (this.stepDue()) {
+      this.prepareStep();
+    }
+
+    return { header, encryptedData };
+  }
+
+  async decrypt(header, encryptedData) {
+    if (!header) throw new Error('missing ratchet header');
+
+    // A step only takes effect once a message under it has authenticated
+    let direction = this.receiving;
+    if (header.kemCiphertext) {
+      if (header.epoch !== this.receiving.epoch + 1) throw new Error('unexpected ratchet epoch');
+      await this.ready;
+      if (!this.ownKeyPair) throw new Error('no ephemeral key for ratchet step');
+
+      const kemSecret = await this.mlkem.decapsulate(header.kemCiphertext, this.ownKeyPair.privateKey);
+      direction = this.deriveStep(this.receiving, kemSecret);
+    } else if (header.epoch !== this.receiving.epoch) {
+      throw new Error('message from an old ratchet epoch');
+    }
+
+    const messageKey = direction.chain.keyFor(header.index);
+    let plaintext;
+    try {
+      plaintext = this.aesCrypto.decrypt(encryptedData, messageKey, this.aad(this.remoteId, this.localId, header));
+    } finally {
+      messageKey.fill(0);
+    }
+
+    if (direction !== this.receiving) {
+      this.destroyDirection(this.receiving);
+      this.receiving = direction;
+
+      // That private key has done its job; the peer gets a fresh public key next
+      this.ownKeyPair = null;
+      this.rotateOwnKeyPair();
+    }
+
+    if (header.publicKey) {
+      this.peerPublicKey = header.publicKey;
+      if (this.stepDue()) this.prepareStep();
+    }
+
+    return plaintext;
+  }
+
+  destroy() {
+    for (const direction of [this.sending, this.receiving]) {
+      this.destroyDirection(direction);
+    }
+    this.ownKeyPair = null;
+  }
+}
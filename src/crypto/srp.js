@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+
+// RFC 5054 2048-bit group
+const N_HEX =
+  'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050' +
+  'A37329CBB4A099ED8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50' +
+  'E8083969EDB767B0CF6095179A163AB3661A05FBD5FAAAE82918A9962F0B93B8' +
+  '55F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA71D281E446B14773B' +
+  'CA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748' +
+  '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB37861602790' +
+  '04E57AE6AF874E7303CE53299CCC041C7BC308D82A5698F3A8D0C38271AE35F8' +
+  'E9DBFBB694B5C803D89F7AE435DE236D525F54759B65E372FCD68EF20FA7111F' +
+  '9E4AFF73';
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function toBigInt(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-fA-F]+$/.test(hex)) {
+    throw new Error('Invalid SRP value');
+  }
+  return BigInt(`0x${hex}`);
+}
+
+function randomBigInt(bytes = 32) {
+  return BigInt(`0x${crypto.randomBytes(bytes).toString('hex')}`);
+}
+
+// SRP-6a (RFC 5054 group, SHA-256). The host stores only a verifier, a wrong
+// guess costs an attacker one online attempt, and the transcript gives nothing
+// to brute-force offline. Both sides end up with a session key K that is only
+// known to parties who knew the password.
+export class SRP {
+  constructor() {
+    this.N = BigInt(`0x${N_HEX}`);
+    this.g = 2n;
+    this.length = N_HEX.length / 2;
+    this.k = this.hashToInt(this.pad(this.N), this.pad(this.g));
+  }
+
+  pad(value) {
+    return Buffer.from(value.toString(16).padStart(this.length * 2, '0'), 'hex');
+  }
+
+  hash(...parts) {
+    const hash = crypto.createHash('sha256');
+    for (const part of parts) {
+      hash.update(typeof part === 'string' ? Buffer.from(part, 'utf8') : part);
+    }
+    return hash.digest();
+  }
+
+  hashToInt(...parts) {
+    return BigInt(`0x${this.hash(...parts).toString('hex')}`);
+  }
+
+  computeX(password, salt) {
+    return this.hashToInt(Buffer.from(salt, 'hex'), this.hash(`melq:${password}`));
+  }
+
+  // context binds the proofs to both node IDs so they cannot be replayed for someone else
+  computeProofs(context, salt, A, B, K) {
+    const hN = this.hash(this.pad(this.N));
+    const hG = this.hash(this.pad(this.g));
+    const xor = Buffer.alloc(hN.length);
+    for (let i = 0; i < hN.length; i++) xor[i] = hN[i] ^ hG[i];
+
+    const M1 = this.hash(xor, this.hash(context.join(':')), Buffer.from(salt, 'hex'), this.pad(A), this.pad(B), K);
+    const M2 = this.hash(this.pad(A), M1, K);
+    return { M1, M2 };
+  }
+
+  createVerifier(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const verifier = modPow(this.g, this.computeX(password, salt), this.N);
+    return { salt, verifier: verifier.toString(16) };
+  }
+
+  // Host: ephemeral b and public B = kv + g^b
+  createServerChallenge(verifier) {
+    const b = randomBigInt();
+    const v = toBigInt(verifier);
+    const B = (this.k * v + modPow(this.g, b, this.N)) % this.N;
+    return { b: b.toString(16), B: B.toString(16) };
+  }
+
+  // Client: answer the host's challenge. Returns the proof to send (A, M1)
+  // and the values to keep (K, expected host proof M2).
+  respondToChallenge(password, salt, serverPublic, context) {
+    const B = toBigInt(serverPublic);
+    if (B % this.N === 0n) throw new Error('Host sent an invalid SRP challenge');
+
+    const a = randomBigInt();
+    const A = modPow(this.g, a, this.N);
+    const u = this.hashToInt(this.pad(A), this.pad(B));
+    if (u === 0n) throw new Error('Host sent an invalid SRP challenge');
+
+    const x = this.computeX(password, salt);
+    const base = ((B - this.k * modPow(this.g, x, this.N)) % this.N + this.N) % this.N;
+    const S = modPow(base, a + u * x, this.N);
+    const K = this.hash(this.pad(S));
+    const { M1, M2 } = this.computeProofs(context, salt, A, B, K);
+
+    return {
+      A: A.toString(16),
+      M1: M1.toString('hex'),
+      expectedM2: M2.toString('hex'),
+      sessionKey: K.toString('hex')
+    };
+  }
+
+  // Host: check the client's proof. Returns { M2, sessionKey } or null on a wrong password.
+  verifyClient(challenge, verifier, salt, clientPublic, clientProof, context) {
+    const A = toBigInt(clientPublic);
+    if (A % this.N === 0n) return null;
+
+    const B = toBigInt(challenge.B);
+    const u = this.hashToInt(this.pad(A), this.pad(B));
+    if (u === 0n) return null;
+
+    const v = toBigInt(verifier);
+    const S = modPow(A * modPow(v, u, this.N), toBigInt(challenge.b), this.N);
+    const K = this.hash(this.pad(S));
+    const { M1, M2 } = this.computeProofs(context, salt, A, B, K);
+
+    if (!this.proofsMatch(M1.toString('hex'), clientProof)) return null;
+    return { M2: M2.toString('hex'), sessionKey: K.toString('hex') };
+  }
+
+  proofsMatch(expected, received) {
+    if (typeof received !== 'string' || received.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(expected, 'utf8'), Buffer.from(received, 'utf8'));
+  }
+
+  // Mix the SRP session key into an existing link secret, so the authenticated
+  // channel is only readable by someone who took part in the password exchange
+  bindLinkSecret(linkSecret, sessionKey) {
+    return this.hash('melq-pake-link', Buffer.from(linkSecret, 'base64'), Buffer.from(sessionKey, 'hex')).toString('base64');
+  }
+}
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import { join } from 'path';
+import { getMelqHome, deriveNodeId } from './identity.js';
+
+const TRUST_VERSION = 1;
+
+// Persistent record of which peers this identity has verified, and of any
+// key changes seen for them. One file per local identity.
+//
+// A node ID is derived from its key, so a new key is a new node ID and never
+// shows up under a verified entry. What does show up is a new node going by
+// the name (label) a peer was verified under; that is recorded as a key change
+// on the verified entry.
+export class TrustStore {
+  constructor(identityName, baseDir = join(getMelqHome(), 'trust')) {
+    this.path = join(baseDir, `${identityName}.json`);
+    this.baseDir = baseDir;
+    this.data = { version: TRUST_VERSION, peers: {} };
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.path)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this.data = { version: TRUST_VERSION, peers: {} };
+      // Entries are keyed by the nodeId their key hashes to now, so records
+      // made under the older, shorter IDs carry over
+      for (const [nodeId, entry] of Object.entries(stored.peers || {})) {
+        this.data.peers[entry.signingKey ? deriveNodeId(entry.signingKey) : nodeId] = entry;
+      }
+    } catch (error) {
+      throw new Error(`Trust store ${this.path} is corrupt: ${error.message}`);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(this.baseDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.path, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+  }
+
+  get(nodeId) {
+    return this.data.peers[nodeId] || null;
+  }
+
+  isVerified(nodeId, signingKey) {
+    const entry = this.get(nodeId);
+    return !!(entry && entry.verified && entry.signingKey === signingKey);
+  }
+
+  markVerified(nodeId, signingKey, label = null) {
+    this.data.peers[nodeId] = {
+      signingKey,
+      label,
+      verified: true,
+      verifiedAt: new Date().toISOString(),
+      keyChanges: []
+    };
+
+    // Confirming a new key for a verified name replaces the old key
+    for (const [otherId, entry] of Object.entries(this.data.peers)) {
+      if (otherId === nodeId) continue;
+      if (label && entry.verified && entry.label === label) {
+        delete this.data.peers[otherId];
+      } else if (entry.keyChanges) {
+        entry.keyChanges = entry.keyChanges.filter(change => change.nodeId !== nodeId);
+      }
+    }
+    this.save();
+  }
+
+  clearVerification(nodeId) {
+    delete this.data.peers[nodeId];
+    this.save();
+  }
+
+  // Record that nodeId goes by label. Returns the verified holder of that
+  // label the first time a different node claims it, so the caller can warn.
+  observeLabel(nodeId, label) {
+    const holder = this.findVerifiedByLabel(label);
+    if (!holder || holder.nodeId === nodeId) return null;
+
+    const entry = this.data.peers[holder.nodeId];
+    entry.keyChanges = entry.keyChanges || [];
+    if (entry.keyChanges.some(change => change.nodeId === nodeId)) return null;
+
+    entry.keyChanges.push({ nodeId, seenAt: new Date().toISOString() });
+    this.save();
+    return holder;
+  }
+
+  // The verified entry whose name nodeId has claimed, if any
+  findClaimedBy(nodeId) {
+    for (const [holderId, entry] of Object.entries(this.data.peers)) {
+      if (entry.verified && (entry.keyChanges || []).some(change => change.nodeId === nodeId)) {
+        return { nodeId: holderId, ...entry };
+      }
+    }
+    return null;
+  }
+
+  // A verified label (usually the peer's display name) now used by a different node
+  findVerifiedByLabel(label) {
+    for (const [nodeId, entry] of Object.entries(this.data.peers)) {
+      if (entry.verified && entry.label === label) {
+        return { nodeId, ...entry };
+      }
+    }
+    return null;
+  }
+
+  getKeyChangeWarnings() {
+    return Object.entries(this.data.peers)
+      .filter(([, entry]) => entry.verified && entry.keyChanges && entry.keyChanges.length > 0)
+      .map(([nodeId, entry]) => ({ nodeId, ...entry }));
+  }
+}
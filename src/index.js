@@ -6,6 +6,10 @@ import readline from 'readline';
 
 const program = new Command();
 
+// Chat view settings from the command line, for whichever node ends up
+// driving the chat interface
+let chatOptions = {};
+
 program
   .name('melq')
   .description('Secure P2P chat - Host or join networks easily')
@@ -16,6 +20,13 @@ program
   .option('--local-only', 'Host network for local access only (with --host)')
   .option('--password <password>', 'Set password for session (with --host)')
   .option('--tunnel <method>', 'Specify tunneling method: ngrok, localtunnel, serveo, manual')
+  .option('--identity <name>', 'Use a named identity from ~/.melq/identity (default: "default")')
+  .option('--storage <backend>', 'Where a host keeps chats and history: jsonl, sqlite or memory (default: jsonl)')
+  .option('--storage-key <file>', 'Key file for host storage, kept away from the data (default: next to it; MELQ_STORAGE_KEY overrides)')
+  .option('--retention-days <days>', 'Drop stored messages older than this many days (with --host, default: keep)')
+  .option('--retention-messages <count>', 'Keep at most this many messages per chat (with --host, default: 10000)')
+  .option('--import <file>', 'Seed a chat room from a JSON transcript made with /export json (with --host)')
+  .option('--scrollback <count>', 'Messages kept per chat in the chat view; older ones are fetched from the host again (default: 100)')
   .option('--update', 'Update MELQ to the latest version from npm registry')
   .option('--check-updates', 'Check if updates are available without installing')
   .action(async (options) => {
@@ -33,7 +44,12 @@ program
     console.log(chalk.gray('═'.repeat(50)));
     
     try {
-      const node = new UnifiedNode();
+      const node = new UnifiedNode({
+        identity: options.identity,
+        storage: getStorageOptions(options),
+        imports: options.import ? [options.import] : []
+      });
+      chatOptions = getChatOptions(options);
       
       if (options.join) {
         await startClientMode(node, options.join);
@@ -60,6 +76,34 @@ program
     }
   });
 
+// Host storage settings given on the command line; the rest keep their defaults
+function getStorageOptions(options) {
+  const storage = {};
+  if (options.storage) storage.backend = options.storage;
+  if (options.storageKey) storage.keyFile = options.storageKey;
+
+  const limits = { retentionDays: '--retention-days', retentionMessages: '--retention-messages' };
+  for (const [key, flag] of Object.entries(limits)) {
+    if (options[key] === undefined) continue;
+    const value = Number(options[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${flag} must be a whole number (0 for no limit)`);
+    }
+    storage[key] = value;
+  }
+  return storage;
+}
+
+function getChatOptions(options) {
+  if (options.scrollback === undefined) return {};
+
+  const maxMessagesPerChat = Number(options.scrollback);
+  if (!Number.isInteger(maxMessagesPerChat) || maxMessagesPerChat < 1) {
+    throw new Error('--scrollback must be a whole number of at least 1');
+  }
+  return { maxMessagesPerChat };
+}
+
 async function showInteractiveMenu(node) {
   const rl = readline.createInterface({
     input: process.stdin,
@@ -310,7 +354,7 @@ async function startHostMode(node, port = 0) {
   console.log(chalk.gray('Command: melq --join <connection_code>'));
   
   // Start host monitoring interface and auto-connect client
-  await startHostWithAutoClient(node, networkInfo);
+  await startHostWithAutoClient(node, networkInfo, options.password);
 }
 
 async function startHostModeWithOptions(node, port = 0, options = {}) {
@@ -354,7 +398,7 @@ async function startHostModeWithOptions(node, port = 0, options = {}) {
   console.log(chalk.gray('Command: melq --join <connection_code>'));
   
   // Start host monitoring interface and auto-connect client
-  await startHostWithAutoClient(node, networkInfo);
+  await startHostWithAutoClient(node, networkInfo, options.password);
 }
 
 async function startClientMode(node, connectionCode, isInteractiveMode = false) {
@@ -463,6 +507,7 @@ async function promptForConnectionCode(node) {
   console.log(chalk.yellow('\n🔗 Join Network'));
   console.log(chalk.gray('Enter the connection code shared by the host.'));
   console.log(chalk.gray('Formats accepted:'));
+  console.log(chalk.gray('  melq://192.168.1.100:3000#<host key fingerprint>'));
   console.log(chalk.gray('  melq://192.168.1.100:3000'));
   console.log(chalk.gray('  https://abc123.ngrok.io'));
   console.log(chalk.gray('  192.168.1.100:3000\n'));
@@ -534,7 +579,7 @@ async function discoverLocalNetworks(node) {
   }
 }
 
-async function startHostWithAutoClient(hostNode, networkInfo) {
+async function startHostWithAutoClient(hostNode, networkInfo, password) {
   console.log(chalk.blue('\n📊 Starting host monitoring interface...'));
   
   // Setup cleanup handlers for the host
@@ -544,7 +589,7 @@ async function startHostWithAutoClient(hostNode, networkInfo) {
   startHostMonitoring(hostNode, networkInfo);
   
   // Try to auto-connect as client
-  await attemptAutoClientConnection(networkInfo);
+  await attemptAutoClientConnection(networkInfo, hostNode.identityName, password);
 }
 
 function setupHostCleanup(hostNode) {
@@ -600,12 +645,13 @@ function setupHostCleanup(hostNode) {
   });
 }
 
-async function attemptAutoClientConnection(networkInfo) {
+async function attemptAutoClientConnection(networkInfo, identity, password) {
   try {
     console.log(chalk.cyan('\n🔄 Auto-connecting as client to own hosted session...'));
     
-    // Create a new client node
-    const clientNode = new UnifiedNode();
+    // Create a new client node under the user's identity; it answers the
+    // session password challenge itself
+    const clientNode = new UnifiedNode({ identity, password });
     
     // Determine which connection code to use (prefer local)
     const connectionCode = networkInfo.localConnectionCode;
@@ -634,7 +680,7 @@ async function attemptAutoClientConnection(networkInfo) {
       ) : null,
       isHost: true,
       hasInternet: networkInfo.hasInternet,
-      isHostAutoClient: true  // Flag to bypass password auth
+      isHostAutoClient: true
     };
     
     // Start client chat interface
@@ -736,9 +782,10 @@ function startHostMonitoring(hostNode, networkInfo) {
   setInterval(() => {
     const connectedCount = hostNode.connectedNodes ? hostNode.connectedNodes.size : 0;
     const chatCount = hostNode.chatRooms ? hostNode.chatRooms.size : 0;
+    const replayNote = hostNode.replayAttempts ? ` | Replays blocked: ${hostNode.replayAttempts}` : '';
     
     // Update terminal title instead of interfering with command line
-    process.stdout.write(`\x1b]0;MELQ Host - Connected: ${connectedCount} | Chats: ${chatCount}\x1b\\`);
+    process.stdout.write(`\x1b]0;MELQ Host - Connected: ${connectedCount} | Chats: ${chatCount}${replayNote}\x1b\\`);
   }, 2000);
   
   console.log(chalk.gray('(Stats shown in terminal title bar)'));
@@ -753,7 +800,7 @@ async function startChatInterface(node, connectionInfo = null) {
   
   console.log(chalk.gray('Initializing chat interface...'));
   
-  const cli = new CLIInterface(node);
+  const cli = new CLIInterface(node, chatOptions);
   
   // Set connection info if provided (client mode)
   if (connectionInfo) {
@@ -925,12 +972,14 @@ function showHelp() {
   console.log(chalk.white('  melq --host --local-only      ') + chalk.gray('Host for local network only'));
   console.log(chalk.white('  melq --host --password <pass> ') + chalk.gray('Host password-protected session'));
   console.log(chalk.white('  melq --join <code>            ') + chalk.gray('Join existing network'));
+  console.log(chalk.white('  melq --identity <name>        ') + chalk.gray('Use a named persistent identity'));
   console.log(chalk.white('  melq --update                 ') + chalk.gray('Update to latest version'));
   console.log(chalk.white('  melq --check-updates          ') + chalk.gray('Check if updates are available'));
   
   console.log(chalk.cyan('\nConnection Codes:'));
   console.log(chalk.gray('  Local: melq://192.168.1.100:3000'));
   console.log(chalk.gray('  Internet: https://abc123.ngrok.io'));
+  console.log(chalk.gray('  The part after "#" pins the host key; joining aborts if it does not match'));
   console.log(chalk.gray('  The host displays these codes when starting'));
   console.log(chalk.gray('  Share them with others to let them join'));
   
@@ -1,6 +1,7 @@
 import dgram from 'dgram';
 import { networkInterfaces } from 'os';
 import chalk from 'chalk';
+import { addHostKeyToConnectionCode } from './tunneling.js';
 
 const DISCOVERY_PORT = 41234;
 const DISCOVERY_MESSAGE = 'MELQ_DISCOVERY_REQUEST';
@@ -28,7 +29,7 @@ export class NetworkDiscovery {
           networkName: `${nodeInfo.nodeId.slice(-8)}'s Network`,
           host: this.getLocalIP(),
           port: nodeInfo.port,
-          connectionCode: `melq://${this.getLocalIP()}:${nodeInfo.port}`,
+          connectionCode: addHostKeyToConnectionCode(`melq://${this.getLocalIP()}:${nodeInfo.port}`, nodeInfo.hostKeyFingerprint),
           timestamp: Date.now()
         });
         
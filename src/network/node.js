@@ -2,6 +2,7 @@ import WebSocket from 'ws';
 import crypto from 'crypto';
 import { MLKEM } from '../crypto/mlkem.js';
 import { AESCrypto } from '../crypto/aes.js';
+import { transcriptSalt, deriveSessionKeys } from '../crypto/key-schedule.js';
 
 export class P2PNode {
   constructor(coordinatorUrl) {
@@ -10,7 +11,7 @@ export class P2PNode {
     this.mlkem = new MLKEM();
     this.aesCrypto = new AESCrypto();
     this.keyPair = null; // Will be generated async
-    this.peerKeys = new Map(); // nodeId -> shared secret
+    this.peerKeys = new Map(); // nodeId -> { secret, salt, sendKey, receiveKey }
     this.chats = new Map(); // chatId -> chat info
     this.messageHandlers = new Map();
     this.ws = null;
@@ -134,6 +135,11 @@ export class P2PNode {
         // Heartbeat response - no action needed
         break;
 
+      case 'error':
+        // Newer hosts reject this protocol with a structured error
+        console.error(`Host error${message.code ? ` (${message.code})` : ''}: ${message.message}`);
+        break;
+
       default:
         console.log(`Unknown message type: ${message.type}`, message);
     }
@@ -153,7 +159,8 @@ export class P2PNode {
 
   async initiateKeyExchange(peerNode) {
     const { ciphertext, sharedSecret } = await this.mlkem.encapsulate(peerNode.publicKey);
-    this.peerKeys.set(peerNode.nodeId, sharedSecret);
+    const salt = transcriptSalt('pairwise', this.nodeId, peerNode.nodeId, ciphertext);
+    this.peerKeys.set(peerNode.nodeId, deriveSessionKeys(sharedSecret, salt, this.nodeId, peerNode.nodeId));
 
     this.send({
       type: 'relay_message',
@@ -166,7 +173,8 @@ export class P2PNode {
 
   async handleKeyExchangeRequest(message) {
     const sharedSecret = await this.mlkem.decapsulate(message.ciphertext, this.keyPair.privateKey);
-    this.peerKeys.set(message.fromNodeId, sharedSecret);
+    const salt = transcriptSalt('pairwise', message.fromNodeId, this.nodeId, message.ciphertext);
+    this.peerKeys.set(message.fromNodeId, deriveSessionKeys(sharedSecret, salt, this.nodeId, message.fromNodeId));
     
     this.send({
       type: 'relay_message',
@@ -212,8 +220,7 @@ export class P2PNode {
       return;
     }
 
-    const sharedSecret = this.peerKeys.get(targetNodeId);
-    const encryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
+    const encryptionKey = this.peerKeys.get(targetNodeId).sendKey;
     
     const messageData = {
       chatId,
@@ -240,8 +247,7 @@ export class P2PNode {
         return;
       }
 
-      const sharedSecret = this.peerKeys.get(message.fromNodeId);
-      const decryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
+      const decryptionKey = this.peerKeys.get(message.fromNodeId).receiveKey;
       
       
       const decryptedText = this.aesCrypto.decrypt(message.encryptedData, decryptionKey);
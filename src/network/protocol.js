@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+
+// Wire protocol spoken by UnifiedNode. Bump PROTOCOL_VERSION for any change an
+// older peer would misread; raise MIN_PROTOCOL_VERSION when support for an
+// older version is dropped. The legacy coordinator/P2PNode protocol is version 1.
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 2;
+
+// Optional features, each used only when both sides list it
+export const CAPABILITIES = {
+  E2E: 'encryption:e2e',
+  HOST_ENCRYPTION: 'encryption:host',
+  HYBRID_KEM: 'kem:x25519-ml-kem-768',
+  DELIVERY_ACKS: 'delivery:acks',
+  READ_RECEIPTS: 'receipts:read',
+  TYPING: 'chat:typing',
+  MESSAGE_EDITS: 'chat:edit',
+  REACTIONS: 'chat:reactions',
+  DIRECT_MESSAGES: 'chat:direct',
+  HISTORY_PAGES: 'history:pages',
+  HISTORY_SEARCH: 'history:search'
+};
+
+export const ERROR_CODES = {
+  HELLO_REQUIRED: 'HELLO_REQUIRED',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  MISSING_CAPABILITY: 'MISSING_CAPABILITY',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  NOT_IDENTIFIED: 'NOT_IDENTIFIED',
+  IDENTITY_MISMATCH: 'IDENTITY_MISMATCH',
+  INVALID_PROOF: 'INVALID_PROOF',
+  SESSION_REPLACED: 'SESSION_REPLACED',
+  ACCESS_DENIED: 'ACCESS_DENIED',
+  NOT_FOUND: 'NOT_FOUND',
+  AUTH_FAILED: 'AUTH_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  DISCONNECTED: 'DISCONNECTED'
+};
+
+export function getLocalCapabilities() {
+  return Object.values(CAPABILITIES);
+}
+
+export function createHello(capabilities = getLocalCapabilities(), extra = {}) {
+  return {
+    type: 'hello',
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    capabilities,
+    ...extra
+  };
+}
+
+// Structured error; clients show `message` and can branch on `code`
+export function protocolError(code, message, details = {}) {
+  return { type: 'error', code, message, ...details };
+}
+
+// Agree on the highest version both sides speak and on the capabilities both
+// list. Returns { protocolVersion, capabilities } or { error }.
+export function negotiate(remoteHello, localCapabilities = getLocalCapabilities()) {
+  const remoteMax = Number.isInteger(remoteHello.protocolVersion) ? remoteHello.protocolVersion : 1;
+  const remoteMin = Number.isInteger(remoteHello.minProtocolVersion) ? remoteHello.minProtocolVersion : remoteMax;
+  const protocolVersion = Math.min(PROTOCOL_VERSION, remoteMax);
+
+  if (protocolVersion < Math.max(MIN_PROTOCOL_VERSION, remoteMin)) {
+    return {
+      error: protocolError(
+        ERROR_CODES.UNSUPPORTED_VERSION,
+        `Incompatible MELQ protocol: this side speaks versions ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}, the other side ${remoteMin}-${remoteMax}. Update the older installation.`,
+        { supportedVersions: { min: MIN_PROTOCOL_VERSION, max: PROTOCOL_VERSION } }
+      )
+    };
+  }
+
+  const remoteCapabilities = new Set(Array.isArray(remoteHello.capabilities) ? remoteHello.capabilities : []);
+  const capabilities = localCapabilities.filter(capability => remoteCapabilities.has(capability));
+
+  // Chats need at least one encryption mode in common
+  if (!capabilities.includes(CAPABILITIES.E2E) && !capabilities.includes(CAPABILITIES.HOST_ENCRYPTION)) {
+    return {
+      error: protocolError(
+        ERROR_CODES.MISSING_CAPABILITY,
+        'No common chat encryption mode.',
+        { required: [CAPABILITIES.E2E, CAPABILITIES.HOST_ENCRYPTION] }
+      )
+    };
+  }
+
+  return { protocolVersion, capabilities };
+}
+
+// Digest of both hello messages. The host signs it along with its link key,
+// so a relay cannot strip capabilities to force a weaker mode. The requestId
+// only routes the response and is left out.
+export function helloDigest(clientHello, hostHello) {
+  const strip = ({ requestId, ...hello }) => hello;
+  return crypto.createHash('sha256').update(JSON.stringify([strip(clientHello), strip(hostHello)])).digest('base64');
+}
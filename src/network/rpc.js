@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { ERROR_CODES } from './protocol.js';
+
+export const DEFAULT_RPC_TIMEOUT = 10000;
+
+// Responses that fail the request they answer, with the code to report when
+// the response carries none
+const ERROR_RESPONSES = {
+  error: ERROR_CODES.INTERNAL_ERROR,
+  access_denied: ERROR_CODES.ACCESS_DENIED,
+  password_rejected: ERROR_CODES.AUTH_FAILED
+};
+
+// A request that failed: rejected by the host, timed out, cancelled or cut off
+// by a disconnect. `code` is one of ERROR_CODES.
+export class RpcError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Requests to the host, matched to their responses by requestId. Any number
+// may be in flight at once; each has its own timeout and can be cancelled
+// through an AbortSignal. A response nobody waits for any more is dropped.
+export class RpcClient {
+  constructor(send) {
+    this.send = send;
+    this.pending = new Map(); // requestId -> { type, resolve, reject, timer, cleanup }
+  }
+
+  request(message, { timeout = DEFAULT_RPC_TIMEOUT, signal = null } = {}) {
+    const requestId = crypto.randomBytes(8).toString('hex');
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RpcError(ERROR_CODES.CANCELLED, `${message.type} was cancelled`));
+        return;
+      }
+
+      const entry = { type: message.type, resolve, reject, timer: null, cleanup: null };
+      if (timeout) {
+        entry.timer = setTimeout(() => {
+          this.fail(requestId, new RpcError(ERROR_CODES.TIMEOUT, `${message.type} timed out after ${timeout / 1000}s`));
+        }, timeout);
+      }
+      if (signal) {
+        const onAbort = () => this.cancel(requestId);
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+      this.pending.set(requestId, entry);
+
+      Promise.resolve(this.send({ ...message, requestId })).catch(error => {
+        this.fail(requestId, new RpcError(ERROR_CODES.NOT_CONNECTED, `${message.type} could not be sent: ${error.message}`));
+      });
+    });
+  }
+
+  take(requestId) {
+    const entry = this.pending.get(requestId);
+    if (!entry) return null;
+
+    this.pending.delete(requestId);
+    clearTimeout(entry.timer);
+    if (entry.cleanup) entry.cleanup();
+    return entry;
+  }
+
+  // Settle the request a response belongs to. Returns false when nothing is
+  // waiting for it (timed out, cancelled, or never asked for).
+  settle(message) {
+    const entry = this.take(message.requestId);
+    if (!entry) return false;
+
+    if (Object.prototype.hasOwnProperty.call(ERROR_RESPONSES, message.type)) {
+      const { type, code, message: text, requestId, ...details } = message;
+      entry.reject(new RpcError(code || ERROR_RESPONSES[type], text || `${entry.type} failed`, details));
+    } else {
+      entry.resolve(message);
+    }
+    return true;
+  }
+
+  fail(requestId, error) {
+    const entry = this.take(requestId);
+    if (entry) entry.reject(error);
+  }
+
+  cancel(requestId) {
+    const entry = this.pending.get(requestId);
+    if (entry) this.fail(requestId, new RpcError(ERROR_CODES.CANCELLED, `${entry.type} was cancelled`));
+  }
+
+  // Fail everything in flight, e.g. when the connection drops
+  cancelAll(error) {
+    for (const requestId of Array.from(this.pending.keys())) {
+      this.fail(requestId, error);
+    }
+  }
+}
@@ -0,0 +1,389 @@
+import { ERROR_CODES, protocolError } from './protocol.js';
+import { KEM_MODES } from '../crypto/hybrid-kem.js';
+
+// Size limits for inbound messages. Keys and signatures are ML-KEM-768 and
+// ML-DSA-65 sized with room to spare.
+export const LIMITS = {
+  FRAME: 1024 * 1024,
+  ID: 128,
+  NAME: 64,
+  TEXT: 4000,
+  KEY: 8192,
+  CIPHERTEXT: 256 * 1024,
+  LIST: 1000,
+  HISTORY: 10000,
+  PAGE: 200,
+  QUERY: 256,
+  RECEIPT: 100,
+  EMOJI: 16,
+  REACTIONS: 200
+};
+
+// Field rules
+const string = (maxLength, options = {}) => ({ type: 'string', maxLength, ...options });
+const integer = (options = {}) => ({ type: 'integer', min: 0, ...options });
+const boolean = () => ({ type: 'boolean' });
+const oneOf = values => ({ type: 'string', values });
+const object = fields => ({ type: 'object', fields });
+const array = (items, maxItems) => ({ type: 'array', items, maxItems });
+const optional = rule => ({ ...rule, optional: true });
+
+// Any message may carry a requestId; responses echo the one they answer
+const withRequestId = schemas => Object.fromEntries(
+  Object.entries(schemas).map(([type, fields]) => [type, { ...fields, requestId: optional(string(64, { pattern: /^[A-Za-z0-9_-]+$/ })) }])
+);
+
+const id = () => string(LIMITS.ID, { pattern: /^[A-Za-z0-9_-]+$/ });
+const base64 = (maxLength = LIMITS.KEY) => string(maxLength, { pattern: /^[A-Za-z0-9+/]*={0,2}$/ });
+const hex = maxLength => string(maxLength, { pattern: /^[0-9a-f]+$/i });
+const text = maxLength => string(maxLength);
+
+const encrypted = () => object({
+  encrypted: base64(LIMITS.CIPHERTEXT),
+  iv: base64(32),
+  authTag: base64(32)
+});
+
+const ratchetHeader = () => object({
+  epoch: integer(),
+  index: integer(),
+  kemCiphertext: optional(base64()),
+  publicKey: optional(base64())
+});
+
+const sealed = () => object({
+  keyId: hex(32),
+  index: integer(),
+  ciphertext: encrypted()
+});
+
+const kem = () => optional(oneOf(Object.values(KEM_MODES)));
+
+const peerFields = {
+  nodeId: id(),
+  publicKey: base64(),
+  signingKey: base64(),
+  keySignature: base64(),
+  x25519PublicKey: optional(base64(64)),
+  x25519KeySignature: optional(base64()),
+  address: optional(text(256))
+};
+
+const hello = {
+  protocolVersion: optional(integer()),
+  minProtocolVersion: optional(integer()),
+  capabilities: optional(array(text(64), 64)),
+  nonce: optional(base64(64))
+};
+
+const secureMessage = {
+  fromNodeId: id(),
+  toNodeId: id(),
+  seq: integer({ min: 1 }),
+  messageType: text(64),
+  chatId: optional(id()),
+  encryptedData: encrypted()
+};
+
+// Messages the host accepts from clients. Unknown fields are ignored; the
+// handlers only read the fields listed here.
+export const HOST_MESSAGE_SCHEMAS = withRequestId({
+  hello,
+  host_key_request: { nodeId: id(), nonce: base64(64) },
+  link_key: {
+    nodeId: id(),
+    kem: kem(),
+    ciphertext: base64(),
+    x25519Ciphertext: optional(base64(64)),
+    signingKey: base64(),
+    signature: base64()
+  },
+  password_challenge: { nodeId: id() },
+  password_attempt: { nodeId: id(), clientPublic: hex(1024), clientProof: hex(128) },
+  register: peerFields,
+  secure_message: secureMessage,
+  discover_nodes: { nodeId: id() },
+  get_chats: { nodeId: id() },
+  create_chat: { nodeId: id(), chatName: text(LIMITS.NAME) },
+  join_chat: { nodeId: id(), chatId: id() },
+  open_direct_chat: { nodeId: id(), peerId: id() },
+  get_history: { nodeId: id(), chatId: id(), before: optional(id()), limit: optional(integer({ min: 1 })) },
+  search_history: {
+    nodeId: id(),
+    chatId: optional(id()),
+    query: optional(text(LIMITS.QUERY)),
+    fromNodeId: optional(id()),
+    since: optional(integer()),
+    until: optional(integer()),
+    limit: optional(integer({ min: 1 }))
+  },
+  send_chat_message: {
+    nodeId: id(),
+    chatId: id(),
+    messageText: optional(text(LIMITS.TEXT)),
+    signature: optional(base64()),
+    sealed: optional(sealed()),
+    messageId: optional(id()),
+    replyTo: optional(id()),
+    timestamp: integer()
+  },
+  send_direct_message: {
+    nodeId: id(),
+    chatId: id(),
+    messageId: id(),
+    ratchet: ratchetHeader(),
+    encryptedData: encrypted(),
+    timestamp: integer()
+  },
+  delivery_ack: { nodeId: id(), chatId: id(), messageId: id(), senderId: id(), signature: base64() },
+  read_receipt: { nodeId: id(), chatId: id(), senderId: id(), messageIds: array(id(), LIMITS.RECEIPT), signature: base64() },
+  typing: { nodeId: id(), chatId: id() },
+  edit_chat_message: {
+    nodeId: id(),
+    chatId: id(),
+    messageId: id(),
+    editedAt: integer(),
+    messageText: optional(text(LIMITS.TEXT)),
+    signature: optional(base64()),
+    sealed: optional(sealed())
+  },
+  delete_chat_message: { nodeId: id(), chatId: id(), messageId: id(), deletedAt: integer(), signature: base64() },
+  react_to_message: {
+    nodeId: id(),
+    chatId: id(),
+    messageId: id(),
+    emoji: text(LIMITS.EMOJI),
+    removed: optional(boolean()),
+    reactedAt: integer(),
+    signature: base64()
+  },
+  relay_message: {
+    targetNodeId: id(),
+    fromNodeId: id(),
+    messageType: optional(oneOf(['key_exchange_request', 'key_exchange_response', 'sender_key'])),
+    kem: kem(),
+    ciphertext: optional(base64()),
+    x25519Ciphertext: optional(base64(64)),
+    acknowledged: optional(boolean()),
+    chatId: optional(id()),
+    ratchet: optional(ratchetHeader()),
+    encryptedData: optional(encrypted()),
+    signingKey: optional(base64()),
+    signature: optional(base64())
+  },
+  ping: { nodeId: optional(id()), fromNodeId: optional(id()) }
+});
+
+const chatSummary = object({
+  chatId: id(),
+  chatName: text(LIMITS.NAME),
+  creator: id(),
+  participants: array(id(), LIMITS.LIST),
+  direct: optional(boolean())
+});
+
+const reaction = object({
+  nodeId: id(),
+  emoji: text(LIMITS.EMOJI),
+  reactedAt: integer(),
+  signature: base64()
+});
+
+const historyEntry = object({
+  chatId: id(),
+  fromNodeId: id(),
+  senderAlias: optional(text(LIMITS.ID)),
+  timestamp: integer(),
+  text: optional(text(LIMITS.TEXT)),
+  signature: optional(base64()),
+  sealed: optional(sealed()),
+  messageId: optional(id()),
+  replyTo: optional(id()),
+  threadId: optional(id()),
+  editedAt: optional(integer()),
+  deletedAt: optional(integer()),
+  reactions: optional(array(reaction, LIMITS.REACTIONS)),
+  imported: optional(boolean())
+});
+
+// Messages clients accept from the host
+export const CLIENT_MESSAGE_SCHEMAS = withRequestId({
+  hello,
+  error: { code: optional(text(64)), message: text(1024) },
+  host_key: {
+    hostNodeId: id(),
+    signingKey: base64(),
+    publicKey: base64(),
+    signature: base64(),
+    x25519PublicKey: optional(base64(64)),
+    x25519KeySignature: optional(base64())
+  },
+  link_established: {},
+  password_required: { message: optional(text(1024)), salt: hex(128), serverPublic: hex(1024) },
+  password_not_required: {},
+  password_accepted: { serverProof: optional(hex(128)) },
+  password_rejected: { message: optional(text(1024)) },
+  registered: { nodeId: id() },
+  node_list: { nodes: array(object(peerFields), LIMITS.LIST) },
+  chat_created: { chatId: id(), chatName: text(LIMITS.NAME) },
+  chat_available: { chatId: id(), chatName: text(LIMITS.NAME), creator: id() },
+  chat_joined: { chatId: id(), chatName: text(LIMITS.NAME), participants: array(id(), LIMITS.LIST) },
+  user_joined: { chatId: id(), nodeId: id() },
+  user_left: { chatId: id(), nodeId: id() },
+  encrypted_message: {
+    fromNodeId: id(),
+    chatId: optional(id()),
+    ratchet: optional(ratchetHeader()),
+    encryptedData: encrypted(),
+    timestamp: optional(integer())
+  },
+  sealed_message: {
+    fromNodeId: id(),
+    chatId: id(),
+    sealed: sealed(),
+    messageId: optional(id()),
+    replyTo: optional(id()),
+    threadId: optional(id()),
+    timestamp: integer()
+  },
+  direct_chat: { chatId: id(), peerId: id() },
+  direct_message: {
+    fromNodeId: id(),
+    chatId: id(),
+    messageId: id(),
+    ratchet: ratchetHeader(),
+    encryptedData: encrypted(),
+    timestamp: integer()
+  },
+  message_accepted: { chatId: id(), messageId: id(), recipients: integer() },
+  delivery_ack: { fromNodeId: id(), chatId: id(), messageId: id(), signature: base64() },
+  read_receipt: { fromNodeId: id(), chatId: id(), messageIds: array(id(), LIMITS.RECEIPT), signature: base64() },
+  typing: { fromNodeId: id(), chatId: id() },
+  message_edited: {
+    fromNodeId: id(),
+    chatId: id(),
+    messageId: id(),
+    editedAt: integer(),
+    text: optional(text(LIMITS.TEXT)),
+    signature: optional(base64()),
+    sealed: optional(sealed())
+  },
+  message_deleted: { fromNodeId: id(), chatId: id(), messageId: id(), deletedAt: integer(), signature: base64() },
+  reaction: {
+    fromNodeId: id(),
+    chatId: id(),
+    messageId: id(),
+    emoji: text(LIMITS.EMOJI),
+    removed: optional(boolean()),
+    reactedAt: integer(),
+    signature: base64()
+  },
+  sender_key: { fromNodeId: id(), chatId: id(), ratchet: ratchetHeader(), encryptedData: encrypted() },
+  key_exchange_request: {
+    fromNodeId: id(),
+    kem: kem(),
+    ciphertext: base64(),
+    x25519Ciphertext: optional(base64(64)),
+    signingKey: base64(),
+    signature: base64()
+  },
+  key_exchange_response: { fromNodeId: id(), acknowledged: optional(boolean()) },
+  chat_list: { chats: array(chatSummary, LIMITS.LIST) },
+  peer_info: peerFields,
+  chat_history: {
+    chatId: id(),
+    messages: array(historyEntry, LIMITS.HISTORY),
+    hasMore: optional(boolean()),
+    cursor: optional(id())
+  },
+  history_page: {
+    chatId: id(),
+    messages: array(historyEntry, LIMITS.PAGE),
+    hasMore: boolean(),
+    cursor: optional(id())
+  },
+  search_results: {
+    messages: array(historyEntry, LIMITS.PAGE),
+    hasMore: boolean()
+  },
+  access_denied: { message: text(1024) },
+  secure_message: secureMessage,
+  pong: {}
+});
+
+function describe(rule) {
+  if (rule.values) return `one of ${rule.values.join(', ')}`;
+  if (rule.type === 'integer') return `an integer of at least ${rule.min}`;
+  if (rule.type === 'string') return `a non-empty string of at most ${rule.maxLength} characters`;
+  return `${rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}`;
+}
+
+// First problem with value as { field, reason }, or null when it fits the rule
+function check(rule, value, field) {
+  if (value === undefined || value === null) {
+    return rule.optional ? null : { field, reason: 'is required' };
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0 || (rule.values && !rule.values.includes(value))) {
+        return { field, reason: `must be ${describe(rule)}` };
+      }
+      if (value.length > rule.maxLength) return { field, reason: `is longer than ${rule.maxLength} characters` };
+      if (rule.pattern && !rule.pattern.test(value)) return { field, reason: 'has an invalid format' };
+      return null;
+
+    case 'integer':
+      return Number.isSafeInteger(value) && value >= rule.min ? null : { field, reason: `must be ${describe(rule)}` };
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : { field, reason: `must be ${describe(rule)}` };
+
+    case 'array':
+      if (!Array.isArray(value)) return { field, reason: `must be ${describe(rule)}` };
+      if (value.length > rule.maxItems) return { field, reason: `has more than ${rule.maxItems} entries` };
+      for (let i = 0; i < value.length; i++) {
+        const problem = check(rule.items, value[i], `${field}[${i}]`);
+        if (problem) return problem;
+      }
+      return null;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return { field, reason: `must be ${describe(rule)}` };
+      return checkFields(rule.fields, value, field);
+
+    default:
+      throw new Error(`Unknown schema rule type: ${rule.type}`);
+  }
+}
+
+function checkFields(fields, value, prefix) {
+  for (const [name, rule] of Object.entries(fields)) {
+    const problem = check(rule, value[name], prefix ? `${prefix}.${name}` : name);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// Check an inbound message against the schema for its type. Returns null when
+// it is valid, otherwise a structured error ready to send back.
+export function validateMessage(schemas, message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+    return protocolError(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a type');
+  }
+
+  const messageType = message.type.slice(0, 64);
+  if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+    return protocolError(ERROR_CODES.UNKNOWN_MESSAGE_TYPE, `Unknown message type: ${messageType}`, { messageType });
+  }
+
+  const problem = checkFields(schemas[message.type], message, '');
+  if (problem) {
+    return protocolError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${messageType}: ${problem.field} ${problem.reason}`, {
+      messageType,
+      field: problem.field
+    });
+  }
+
+  return null;
+}
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { join } from 'path';
+import { AESCrypto } from '../crypto/aes.js';
+import { getMelqHome } from '../crypto/identity.js';
+
+const STORAGE_VERSION = 1;
+const DAY = 24 * 60 * 60 * 1000;
+
+export const STORAGE_BACKENDS = ['jsonl', 'sqlite', 'memory'];
+
+// Drop history entries older than `retentionDays` (0 keeps them forever) and
+// all but the newest `retentionMessages` per chat. Changes `history` in place
+// and returns how many entries went.
+export function applyRetention(history, { retentionDays = 0, retentionMessages = 0 } = {}, now = Date.now()) {
+  let removed = 0;
+  for (const [chatId, entries] of history) {
+    let kept = retentionDays > 0 ? entries.filter(entry => now - entry.timestamp <= retentionDays * DAY) : entries;
+    if (retentionMessages > 0 && kept.length > retentionMessages) {
+      kept = kept.slice(kept.length - retentionMessages);
+    }
+    removed += entries.length - kept.length;
+    history.set(chatId, kept);
+  }
+  return removed;
+}
+
+// Open the host's store for rooms and chat history, or null for the memory
+// backend. Files are named after the host identity and encrypted at rest.
+// The key comes from MELQ_STORAGE_KEY (base64) if set, else from `keyFile`,
+// else from a file next to the data; key files are created on first use,
+// readable only by us.
+export async function openHostStore({ backend = 'jsonl', name, dir = join(getMelqHome(), 'storage'), keyFile = null }) {
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend "${backend}" (use ${STORAGE_BACKENDS.join(', ')})`);
+  }
+  if (backend === 'memory') return null;
+
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const dataPath = join(dir, `${name}.${backend}`);
+  const key = process.env.MELQ_STORAGE_KEY
+    ? parseStorageKey(process.env.MELQ_STORAGE_KEY, 'MELQ_STORAGE_KEY')
+    : loadStorageKey(keyFile || join(dir, `${name}.key`), dataPath);
+
+  if (backend === 'sqlite') {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const existed = hasStoredData(dataPath);
+    let db = null;
+    try {
+      db = new Database(dataPath);
+      return new SqliteStore(db, key);
+    } catch (error) {
+      if (db) db.close();
+      // Leave no empty database behind to pass for a store next time
+      if (!existed) {
+        for (const suffix of ['', '-wal', '-shm']) fs.rmSync(dataPath + suffix, { force: true });
+      }
+      throw error;
+    }
+  }
+  return new JsonlStore(dataPath, key);
+}
+
+// An empty data file (a first start that failed halfway) holds no store
+function hasStoredData(dataPath) {
+  return fs.existsSync(dataPath) && fs.statSync(dataPath).size > 0;
+}
+
+function parseStorageKey(encoded, source) {
+  const key = Buffer.from(encoded.trim(), 'base64');
+  if (key.length !== 32) throw new Error(`Storage key ${source} is not 32 base64-encoded bytes`);
+  return key;
+}
+
+function loadStorageKey(keyPath, dataPath) {
+  if (fs.existsSync(keyPath)) {
+    return parseStorageKey(fs.readFileSync(keyPath, 'utf8'), keyPath);
+  }
+
+  // Without its key an existing store is unreadable; never start over silently
+  if (hasStoredData(dataPath)) {
+    throw new Error(`Storage key ${keyPath} is missing, so ${dataPath} cannot be read`);
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(keyPath, key.toString('base64'), { mode: 0o600, flag: 'wx' });
+  return key;
+}
+
+// Records are sealed with AES-256-GCM; the associated data ties each one to
+// the store format (and, in SQLite, to the row's chat)
+class EncryptedStore {
+  constructor(key) {
+    this.key = key;
+    this.aes = new AESCrypto();
+  }
+
+  seal(record, aad = 'melq-store') {
+    return JSON.stringify(this.aes.encrypt(JSON.stringify(record), this.key, aad));
+  }
+
+  open(data, aad = 'melq-store') {
+    return JSON.parse(this.aes.decrypt(JSON.parse(data), this.key, aad));
+  }
+
+  // Only what survives a restart: regular rooms are rejoined by whoever
+  // reconnects, direct chats keep their two members and imported rooms the
+  // list of who may join
+  storedRoom(room) {
+    return {
+      creator: room.creator,
+      name: room.name,
+      direct: !!room.direct,
+      participants: room.direct ? room.participants : [],
+      ...(room.members ? { members: room.members } : {}),
+      created: room.created
+    };
+  }
+}
+
+// Append-only log, one sealed record per line. A line is a room, a new
+// message or the current state of a changed message; load() replays them and
+// rewrite() compacts the log down to the current state.
+class JsonlStore extends EncryptedStore {
+  constructor(path, key) {
+    super(key);
+    this.path = path;
+    this.backend = 'jsonl';
+  }
+
+  load() {
+    const rooms = new Map();
+    const history = new Map();
+    if (!hasStoredData(this.path)) return { rooms, history };
+
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n').filter(Boolean);
+    const header = JSON.parse(lines.shift() || '{}');
+    if (header.version !== STORAGE_VERSION) {
+      throw new Error(`${this.path} has unsupported storage version ${header.version}`);
+    }
+
+    lines.forEach((line, index) => {
+      let record;
+      try {
+        record = this.open(line);
+      } catch (error) {
+        // A crash can leave the last line half written; anything else is damage
+        if (index === lines.length - 1) return;
+        throw new Error(`${this.path} line ${index + 2} cannot be read: ${error.message}`);
+      }
+
+      const entries = history.get(record.chatId) || [];
+      switch (record.op) {
+        case 'room':
+          rooms.set(record.chatId, record.room);
+          break;
+        case 'message':
+          entries.push(record.entry);
+          history.set(record.chatId, entries);
+          break;
+        case 'replace': {
+          const position = entries.findIndex(entry => entry.messageId === record.entry.messageId);
+          if (position !== -1) entries[position] = record.entry;
+          break;
+        }
+      }
+    });
+
+    return { rooms, history };
+  }
+
+  append(record) {
+    if (!hasStoredData(this.path)) {
+      fs.writeFileSync(this.path, JSON.stringify({ version: STORAGE_VERSION }) + '\n', { mode: 0o600 });
+    }
+    fs.appendFileSync(this.path, this.seal(record) + '\n');
+  }
+
+  saveRoom(chatId, room) {
+    this.append({ op: 'room', chatId, room: this.storedRoom(room) });
+  }
+
+  appendMessage(chatId, entry) {
+    this.append({ op: 'message', chatId, entry });
+  }
+
+  replaceMessage(chatId, entry) {
+    this.append({ op: 'replace', chatId, entry });
+  }
+
+  // Written to a temporary file first, so a crash leaves the old log intact
+  rewrite(rooms, history) {
+    const lines = [JSON.stringify({ version: STORAGE_VERSION })];
+    for (const [chatId, room] of rooms) {
+      lines.push(this.seal({ op: 'room', chatId, room: this.storedRoom(room) }));
+    }
+    for (const [chatId, entries] of history) {
+      if (!rooms.has(chatId)) continue;
+      for (const entry of entries) {
+        lines.push(this.seal({ op: 'message', chatId, entry }));
+      }
+    }
+
+    const temporaryPath = `${this.path}.tmp`;
+    fs.writeFileSync(temporaryPath, lines.join('\n') + '\n', { mode: 0o600 });
+    fs.renameSync(temporaryPath, this.path);
+  }
+
+  close() {}
+}
+
+// Embedded SQLite database. Chat and message IDs stay in the clear so rows
+// can be found and replaced; everything else is sealed.
+class SqliteStore extends EncryptedStore {
+  constructor(db, key) {
+    super(key);
+    this.db = db;
+    this.backend = 'sqlite';
+
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS rooms (chat_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS messages (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        message_id TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS messages_by_chat ON messages (chat_id, message_id);
+    `);
+
+    const version = db.prepare("SELECT value FROM meta WHERE key = 'version'").get();
+    if (!version) {
+      db.prepare("INSERT INTO meta (key, value) VALUES ('version', ?)").run(String(STORAGE_VERSION));
+    } else if (Number(version.value) !== STORAGE_VERSION) {
+      throw new Error(`Storage database has unsupported version ${version.value}`);
+    }
+
+    this.statements = {
+      saveRoom: db.prepare('INSERT OR REPLACE INTO rooms (chat_id, data) VALUES (?, ?)'),
+      appendMessage: db.prepare('INSERT INTO messages (chat_id, message_id, data) VALUES (?, ?, ?)'),
+      replaceMessage: db.prepare('UPDATE messages SET data = ? WHERE chat_id = ? AND message_id = ?')
+    };
+  }
+
+  load() {
+    const rooms = new Map();
+    const history = new Map();
+
+    for (const row of this.db.prepare('SELECT chat_id, data FROM rooms').all()) {
+      rooms.set(row.chat_id, this.open(row.data, `melq-store:${row.chat_id}`));
+    }
+    for (const row of this.db.prepare('SELECT chat_id, data FROM messages ORDER BY seq').all()) {
+      if (!history.has(row.chat_id)) history.set(row.chat_id, []);
+      history.get(row.chat_id).push(this.open(row.data, `melq-store:${row.chat_id}`));
+    }
+
+    return { rooms, history };
+  }
+
+  saveRoom(chatId, room) {
+    this.statements.saveRoom.run(chatId, this.seal(this.storedRoom(room), `melq-store:${chatId}`));
+  }
+
+  appendMessage(chatId, entry) {
+    this.statements.appendMessage.run(chatId, entry.messageId || null, this.seal(entry, `melq-store:${chatId}`));
+  }
+
+  replaceMessage(chatId, entry) {
+    this.statements.replaceMessage.run(this.seal(entry, `melq-store:${chatId}`), chatId, entry.messageId);
+  }
+
+  rewrite(rooms, history) {
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM rooms; DELETE FROM messages;');
+      for (const [chatId, room] of rooms) {
+        this.saveRoom(chatId, room);
+      }
+      for (const [chatId, entries] of history) {
+        if (!rooms.has(chatId)) continue;
+        for (const entry of entries) {
+          this.appendMessage(chatId, entry);
+        }
+      }
+    })();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -391,12 +391,39 @@ export class TunnelingService {
   }
 }
 
+// Connection codes can pin the host's identity key by appending its fingerprint:
+//   melq://192.168.1.100:42045#3f2a9c...
+export function addHostKeyToConnectionCode(connectionCode, hostKeyFingerprint) {
+  if (!connectionCode || !hostKeyFingerprint) return connectionCode;
+  return `${connectionCode.split('#')[0]}#${hostKeyFingerprint}`;
+}
+
+// Split a connection code into the WebSocket URL and the pinned host key (if any)
+export function parseConnectionCodeDetails(connectionCode) {
+  if (!connectionCode) throw new Error('Connection code is required');
+
+  const [address, pin] = connectionCode.trim().split('#');
+  let hostKeyFingerprint = null;
+
+  if (pin !== undefined) {
+    hostKeyFingerprint = pin.trim().toLowerCase();
+    if (!/^[0-9a-f]{32}$/.test(hostKeyFingerprint)) {
+      throw new Error('Invalid host key fingerprint in connection code (expected 32 hex characters after "#")');
+    }
+  }
+
+  return {
+    url: parseConnectionCode(address),
+    hostKeyFingerprint
+  };
+}
+
 // Helper function to validate and normalize connection codes
 export function parseConnectionCode(connectionCode) {
   if (!connectionCode) throw new Error('Connection code is required');
   
-  // Clean up the input
-  const cleanCode = connectionCode.trim();
+  // Clean up the input (the host key pin is not part of the address)
+  const cleanCode = connectionCode.trim().split('#')[0];
   
   // Handle melq:// format
   if (cleanCode.startsWith('melq://')) {
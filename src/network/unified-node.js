@@ -1,12 +1,26 @@
 import WebSocket, { WebSocketServer } from 'ws';
 import Fastify from 'fastify';
 import crypto from 'crypto';
+import fs from 'fs';
 import { networkInterfaces } from 'os';
 import readline from 'readline';
 import { MLKEM } from '../crypto/mlkem.js';
 import { AESCrypto } from '../crypto/aes.js';
+import { MLDSA } from '../crypto/mldsa.js';
+import { IdentityStore, deriveNodeId, signaturePayload } from '../crypto/identity.js';
+import { TrustStore } from '../crypto/trust.js';
+import { SRP } from '../crypto/srp.js';
+import { transcriptSalt, deriveSessionKeys } from '../crypto/key-schedule.js';
+import { HybridKEM, KEM_MODES } from '../crypto/hybrid-kem.js';
+import { PairwiseRatchet, SymmetricRatchet, SENDER_KEY_MAX_MESSAGES } from '../crypto/ratchet.js';
+import { computeSafetyNumber, hostKeyFingerprint } from '../crypto/fingerprint.js';
 import { NetworkDiscovery } from './discovery.js';
-import { TunnelingService, parseConnectionCode } from './tunneling.js';
+import { CAPABILITIES, ERROR_CODES, PROTOCOL_VERSION, createHello, getLocalCapabilities, negotiate, helloDigest, protocolError } from './protocol.js';
+import { HOST_MESSAGE_SCHEMAS, CLIENT_MESSAGE_SCHEMAS, LIMITS, validateMessage } from './schema.js';
+import { RpcClient, RpcError } from './rpc.js';
+import { openHostStore, applyRetention } from './storage.js';
+import { parseTranscript } from '../utils/transcript.js';
+import { TunnelingService, parseConnectionCodeDetails, addHostKeyToConnectionCode } from './tunneling.js';
 import chalk from 'chalk';
 
 const NODE_MODES = {
@@ -14,9 +28,87 @@ const NODE_MODES = {
   CLIENT: 'client'
 };
 
+// How chat payloads are protected on their way through the host:
+// - HOST: plaintext `messageText` reaches the host, which re-encrypts per participant (legacy)
+// - E2E: the sender seals the payload for the chat's members; the host only sees ciphertext
+const ENCRYPTION_MODES = {
+  HOST: 'host',
+  E2E: 'e2e'
+};
+
+// How far behind the newest sequence number a secure_message may arrive
+const REPLAY_WINDOW = 64;
+
+// Where an outgoing chat message stands: waiting for the host, accepted by it
+// (recipients ack separately), or given up on after CHAT_SEND_ATTEMPTS tries
+export const DELIVERY_STATUS = {
+  SENDING: 'sending',
+  ACCEPTED: 'accepted',
+  FAILED: 'failed'
+};
+
+const CHAT_SEND_ATTEMPTS = 3;
+const CHAT_ACK_TIMEOUT = 5000;
+const CHAT_RETRY_DELAY = 2000; // multiplied by the attempt number
+const DELIVERY_TRACKING_LIMIT = 1000;
+
+// At most one typing notice per chat this often; receivers drop the indicator
+// once TYPING_INDICATOR_TIMEOUT passes without a new one
+const TYPING_NOTICE_INTERVAL = 3000;
+export const TYPING_INDICATOR_TIMEOUT = 6000;
+
+// Message IDs the host remembers per direct chat to drop resent duplicates
+const DIRECT_MESSAGE_ID_LIMIT = 1000;
+
+// History entries sent on join, and per get_history page unless asked for fewer
+export const HISTORY_PAGE_SIZE = 50;
+
+// Search hits returned per request
+export const SEARCH_RESULT_LIMIT = 20;
+
+// Decrypted messages a client keeps per chat, in memory only. Sender keys are
+// single-use, so these are what lets host history and search show messages
+// again once they have been read.
+const READ_MESSAGE_LIMIT = 5000;
+
+// How often the host drops history that has outlived the retention settings
+const RETENTION_INTERVAL = 60 * 60 * 1000;
+
+// Both members of a direct chat arrive at the same ID, whoever opens it
+export function directChatId(nodeId1, nodeId2) {
+  const members = [nodeId1, nodeId2].sort().join(':');
+  return `dm_${crypto.createHash('sha256').update(members).digest('hex').slice(0, 32)}`;
+}
+
+// Whether a chat message matches a search: the query anywhere in its text
+// (ignoring case), from `fromNodeId`, sent at or after `since` and before
+// `until`. Deleted messages never match.
+export function matchesSearch(message, { query = '', fromNodeId = null, since = null, until = null } = {}) {
+  if (!message.messageId || message.deleted || typeof message.text !== 'string') return false;
+  if (query && !message.text.toLowerCase().includes(query.toLowerCase())) return false;
+  if (fromNodeId && message.fromNodeId !== fromNodeId) return false;
+  if (since && message.timestamp < since) return false;
+  if (until && message.timestamp >= until) return false;
+  return true;
+}
+
 export class UnifiedNode {
-  constructor() {
+  constructor(options = {}) {
+    // Placeholder until initialize() loads the persistent identity
     this.nodeId = this.generateNodeId();
+    this.identityName = options.identity || 'default';
+    this.identityStore = new IdentityStore(options.identityDir);
+    this.identity = null;
+    this.trustStore = null;
+    this.joinPassword = options.password || null; // Answers a password challenge without prompting
+    // Where a host keeps rooms and history between runs, and for how long
+    this.storageOptions = {
+      backend: 'jsonl',
+      retentionDays: 0,
+      retentionMessages: LIMITS.HISTORY,
+      ...options.storage
+    };
+    this.transcriptImports = options.imports || []; // JSON transcripts a host seeds rooms from
     
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (reason, promise) => {
@@ -24,12 +116,21 @@ export class UnifiedNode {
       this.safeLog(`Unhandled promise rejection: ${reason}`, chalk.red);
     });
     this.mode = null;
+    this.encryptionMode = ENCRYPTION_MODES.E2E;
     this.mlkem = new MLKEM();
+    this.kem = new HybridKEM();
+    this.mldsa = new MLDSA();
     this.aesCrypto = new AESCrypto();
+    this.srp = new SRP();
     this.keyPair = null;
     
     // Common properties
-    this.peerKeys = new Map(); // nodeId -> shared secret
+    this.peerKeys = new Map(); // nodeId -> link secret on the host, PairwiseRatchet per peer on clients
+    this.sessionKeys = new Map(); // nodeId -> { secret, salt, sendKey, receiveKey }, derived once per session
+    this.peerQueues = new Map(); // nodeId -> tail of the promise chain that processes that peer's messages in order
+    this.linkSequences = new Map(); // nodeId -> { sent, highest, seen } for secure_message replay protection
+    this.replayAttempts = 0;
+    this.peerIdentities = new Map(); // nodeId -> ML-DSA public key (verified against the nodeId)
     this.chats = new Map(); // chatId -> chat info
     this.messageHandlers = new Map();
     this.cliInterface = null;
@@ -40,12 +141,32 @@ export class UnifiedNode {
     this.connectedNodes = new Map(); // nodeId -> node info
     this.chatRooms = new Map(); // chatId -> room info
     this.chatHistory = new Map(); // chatId -> messages[]
+    this.store = null; // persistent copy of chatRooms and chatHistory, null for the memory backend
+    this.retentionTimer = null;
+    this.historyTrimmed = false; // messages were dropped from memory but not yet from the store
     this.hostPort = null;
-    this.sessionPassword = null; // Password for protected sessions
+    this.socketSessions = new WeakMap(); // ws -> { protocolVersion, capabilities, digest, nodeId } agreed in the hello
+    this.boundSockets = new Map(); // nodeId -> the socket that proved it holds that identity
+    this.sessionVerifier = null; // SRP verifier for protected sessions; the password itself is never kept
+    this.pakeChallenges = new Map(); // nodeId -> outstanding SRP challenge
     this.authenticatedNodes = new Set(); // nodeIds that have been authenticated
     
+    // Sender keys for E2E chats
+    this.senderKeys = new Map(); // chatId -> { keyId, chain, members, delivered, stale, sent }
+    this.receivedSenderKeys = new Map(); // `${chatId}:${nodeId}` -> Map(keyId -> SymmetricRatchet)
+    this.unconfirmedPeers = new Set(); // nodeIds we encapsulated to that have not acknowledged yet
+    this.peerKemKeys = new Map(); // nodeId -> signed KEM public key the pairwise session was set up against
+    this.peerExchanges = new Map(); // nodeId -> ciphertext of the key exchange request we accepted last
+    this.hybridPeers = new Set(); // nodeIds seen advertising a signed X25519 key
+    
     // Client mode properties
     this.coordinatorWs = null;
+    this.hostLink = null; // { nodeId, signingKey, keys, kem, fingerprint, pinned } once the host proved its key
+    this.hostProtocol = null; // { protocolVersion, capabilities, digest } agreed with the host
+    this.rpc = new RpcClient(message => this.send(message)); // requests to the host awaiting a response
+    this.deliveries = new Map(); // messageId -> { chatId, payload, status, recipients, deliveredTo, readBy, attempts, retryTimer }
+    this.typingSent = new Map(); // chatId -> when we last sent a typing notice
+    this.readMessages = new Map(); // chatId -> Map(messageId -> verified payload), oldest first
     this.heartbeatInterval = null;
     
     // Discovery and tunneling
@@ -68,9 +189,151 @@ export class UnifiedNode {
     return `node_${crypto.randomBytes(8).toString('hex')}`;
   }
 
-  async initialize() {
-    console.log('Generating ML-KEM-768 keypair...');
-    this.keyPair = await this.mlkem.generateKeyPair();
+  // Sign a list of fields with our long-term ML-DSA identity key
+  signFields(...fields) {
+    return this.mldsa.sign(signaturePayload(...fields), this.identity.privateKey);
+  }
+
+  // Check a signature from nodeId. The signing key must hash to the nodeId, so a
+  // host or peer cannot substitute its own key for someone else's.
+  verifyPeerSignature(nodeId, signingKey, signature, ...fields) {
+    if (!nodeId || !signingKey || !signature) return false;
+    if (deriveNodeId(signingKey) !== nodeId) return false;
+    if (!this.mldsa.verify(signaturePayload(...fields), signature, signingKey)) return false;
+
+    if (nodeId !== this.nodeId) this.peerIdentities.set(nodeId, signingKey);
+    return true;
+  }
+
+  // Safety number over our identity key and the peer's, for out-of-band comparison
+  getSafetyNumber(nodeId) {
+    const signingKey = this.peerIdentities.get(nodeId);
+    if (!signingKey) return null;
+
+    return computeSafetyNumber(
+      { nodeId: this.nodeId, signingKey: this.identity.publicKey },
+      { nodeId, signingKey }
+    );
+  }
+
+  // 'verified', 'changed' (goes by the name of a peer verified under a
+  // different key) or 'unverified'
+  getPeerTrustStatus(nodeId) {
+    if (!this.trustStore) return 'unverified';
+    if (this.trustStore.findClaimedBy(nodeId)) return 'changed';
+    const entry = this.trustStore.get(nodeId);
+    return entry && entry.verified ? 'verified' : 'unverified';
+  }
+
+  // A peer now goes by label. Returns the verified holder of that name when
+  // this is a different node, i.e. the name's key changed.
+  observePeerLabel(nodeId, label) {
+    return this.trustStore ? this.trustStore.observeLabel(nodeId, label) : null;
+  }
+
+  markPeerVerified(nodeId, label = null) {
+    const signingKey = this.peerIdentities.get(nodeId);
+    if (!signingKey) {
+      throw new Error(`No identity key known for ${nodeId.slice(-8)}`);
+    }
+    this.trustStore.markVerified(nodeId, signingKey, label);
+  }
+
+  clearPeerVerification(nodeId) {
+    this.trustStore.clearVerification(nodeId);
+  }
+
+  // A node's ML-KEM public key is only trusted if its identity key signed it
+  verifyPeerKeyBinding(node) {
+    return this.verifyPeerSignature(node.nodeId, node.signingKey, node.keySignature, 'kem-key', node.nodeId, node.publicKey);
+  }
+
+  // The peer's X25519 key when it has one and its identity signed it, otherwise
+  // null and the key exchange falls back to plain ML-KEM-768
+  getVerifiedX25519Key(node) {
+    if (!node.x25519PublicKey) return null;
+    const signed = this.verifyPeerSignature(node.nodeId, node.signingKey, node.x25519KeySignature, 'x25519-key', node.nodeId, node.x25519PublicKey);
+    return signed ? node.x25519PublicKey : null;
+  }
+
+  // Remember peers that advertised a signed X25519 key, so a plain ML-KEM
+  // key exchange from one of them is recognised as a downgrade
+  noteHybridPeer(node) {
+    if (this.getVerifiedX25519Key(node)) {
+      this.hybridPeers.add(node.nodeId);
+    }
+  }
+
+  getX25519KeyFields() {
+    return {
+      x25519PublicKey: this.keyPair.x25519PublicKey,
+      x25519KeySignature: this.signFields('x25519-key', this.nodeId, this.keyPair.x25519PublicKey)
+    };
+  }
+
+  // Hybrid exchanges also cover the mode and the X25519 share; plain ML-KEM
+  // ones keep the original fields so older clients still verify them
+  getKeyExchangeFields(kem, x25519Ciphertext) {
+    return kem && kem !== KEM_MODES.MLKEM ? [kem, x25519Ciphertext] : [];
+  }
+
+  // The message ID (and the message replied to) are covered when there is
+  // one; payloads without it keep the original fields so older clients still
+  // verify them. Edits are signed under their own label with the edit time, so
+  // one cannot pass for the original; they change the text only, never what
+  // the message replies to.
+  getChatPayloadFields(payload) {
+    if (payload.edited) {
+      return ['chat-edit', payload.chatId, payload.fromNodeId, payload.timestamp, payload.text, payload.messageId];
+    }
+
+    const fields = ['chat', payload.chatId, payload.fromNodeId, payload.timestamp, payload.text];
+    if (payload.messageId) fields.push(payload.messageId);
+    if (payload.replyTo) fields.push('reply', payload.replyTo);
+    return fields;
+  }
+
+  // What the host signs for a history entry it imported from a transcript:
+  // the authors' own signatures were not exported
+  getImportedEntryFields(entry) {
+    return ['history-import', entry.chatId, entry.messageId, entry.fromNodeId, entry.senderAlias,
+      entry.timestamp, entry.text, entry.replyTo || '', entry.threadId || '', entry.editedAt || 0];
+  }
+
+  signChatPayload(payload) {
+    return {
+      ...payload,
+      signature: this.signFields(...this.getChatPayloadFields(payload))
+    };
+  }
+
+  // The signing key we hold for a node; history also carries our own entries
+  identityKeyFor(nodeId) {
+    if (nodeId === this.nodeId && this.identity) return this.identity.publicKey;
+    return this.peerIdentities.get(nodeId);
+  }
+
+  // Chat payloads are checked against the identity key learned during key exchange
+  verifyChatPayload(payload) {
+    const signingKey = this.identityKeyFor(payload.fromNodeId);
+    if (!signingKey) return false;
+
+    return this.verifyPeerSignature(payload.fromNodeId, signingKey, payload.signature,
+      ...this.getChatPayloadFields(payload));
+  }
+
+  async initialize(identityName = this.identityName) {
+    this.identity = this.identityStore.loadOrCreate(identityName);
+    this.nodeId = this.identity.nodeId;
+    this.trustStore = new TrustStore(identityName);
+    if (this.identity.isNew) {
+      console.log(`✓ Created new ML-DSA identity "${identityName}" (${this.nodeId})`);
+    } else {
+      console.log(`✓ Loaded identity "${identityName}" (${this.nodeId})`);
+    }
+
+    console.log('Generating X25519 + ML-KEM-768 keypair...');
+    this.keyPair = await this.kem.generateKeyPair();
     console.log('✓ Post-quantum cryptographic keys generated');
   }
 
@@ -78,9 +341,14 @@ export class UnifiedNode {
   async startAsHost(port = 0, options = {}) {
     const { exposeToInternet = false, tunnelMethod = 'auto', customDomain, password } = options;
     console.log(chalk.gray(`🔧 Host options: exposeToInternet=${exposeToInternet}, tunnelMethod=${tunnelMethod}, password=${!!password}`));
-    await this.initialize();
+    // The host runs under its own identity so it never collides with its auto-client
+    await this.initialize(`${this.identityName}-host`);
     this.mode = NODE_MODES.HOST;
-    this.sessionPassword = password || null;
+    this.sessionVerifier = password ? this.srp.createVerifier(password) : null;
+    await this.openStorage(`${this.identityName}-host`);
+    for (const path of this.transcriptImports) {
+      this.importTranscript(path);
+    }
     
     // Find available port if default port is in use (multi-node support)
     const requestedPort = port || 42045;
@@ -104,7 +372,8 @@ export class UnifiedNode {
     await this.server.register(async (fastify) => {
       this.wss = new WebSocketServer({ 
         server: fastify.server,
-        path: '/ws'
+        path: '/ws',
+        maxPayload: LIMITS.FRAME
       });
       
       this.wss.on('connection', (ws) => {
@@ -130,7 +399,9 @@ export class UnifiedNode {
     this.hostPort = this.server.server.address().port;
     const localIp = this.getLocalIP();
     
-    const localConnectionCode = `melq://${localIp}:${this.hostPort}`;
+    // Every connection code pins our identity key so clients can detect interception
+    this.hostKeyFingerprint = hostKeyFingerprint(this.identity.publicKey);
+    const localConnectionCode = addHostKeyToConnectionCode(`melq://${localIp}:${this.hostPort}`, this.hostKeyFingerprint);
     let internetConnectionCode = null;
     let internetUrl = null;
     
@@ -141,7 +412,8 @@ export class UnifiedNode {
     try {
       await this.discovery.startAdvertising({
         nodeId: this.nodeId,
-        port: this.hostPort
+        port: this.hostPort,
+        hostKeyFingerprint: this.hostKeyFingerprint
       });
       console.log(chalk.gray('✓ Local network discovery active'));
     } catch (error) {
@@ -158,7 +430,7 @@ export class UnifiedNode {
         });
         
         if (internetInfo) {
-          internetConnectionCode = internetInfo.connectionCode;
+          internetConnectionCode = addHostKeyToConnectionCode(internetInfo.connectionCode, this.hostKeyFingerprint);
           internetUrl = internetInfo.publicUrl;
           
           console.log(chalk.green('\n🌐 Network exposed to internet!'));
@@ -180,6 +452,7 @@ export class UnifiedNode {
       localConnectionCode,
       internetConnectionCode,
       internetUrl,
+      hostKeyFingerprint: this.hostKeyFingerprint,
       hasInternet: !!internetConnectionCode
     };
   }
@@ -188,33 +461,41 @@ export class UnifiedNode {
     this.safeLog('Node connected to hosted network');
     
     ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.replyWithError(ws, protocolError(ERROR_CODES.INVALID_MESSAGE, 'Message is not valid JSON'));
+        return;
+      }
+
       try {
-        const message = JSON.parse(data.toString());
+        if (!this.acceptProtocolMessage(ws, message)) return;
+        if (!this.checkInboundMessage(ws, message)) return;
+        if (!this.checkSocketIdentity(ws, message)) return;
         await this.handleHostMessage(ws, message);
       } catch (error) {
         console.error('WebSocket message handling error:', error);
         this.safeLog(`Message handling error: ${error.message}`, chalk.red);
-        
-        // Try to send error response if possible
-        try {
-          if (ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              message: 'Message processing failed'
-            }));
-          }
-        } catch (sendError) {
-          // Ignore send errors - connection might be broken
-        }
+        this.replyWithError(ws, protocolError(ERROR_CODES.INTERNAL_ERROR, 'Message processing failed', {
+          messageType: message.type
+        }), message);
       }
     });
 
     ws.on('close', () => {
-      const nodeId = this.getNodeIdBySocket(ws);
+      // A connection that was replaced has already handed its identity over
+      const nodeId = this.socketSessions.get(ws)?.nodeId;
       if (nodeId) {
+        this.boundSockets.delete(nodeId);
         this.connectedNodes.delete(nodeId);
         this.peerKeys.delete(nodeId);
+        this.sessionKeys.delete(nodeId);
+        this.linkSequences.delete(nodeId);
         this.authenticatedNodes.delete(nodeId); // Clean up authentication state
+        this.pakeChallenges.delete(nodeId);
+        this.forgetIntroductions(nodeId);
+        this.removeParticipantFromChats(nodeId);
         this.safeLog(`Node ${nodeId} disconnected`);
         
         // Notify CLI interface to update UI
@@ -225,20 +506,193 @@ export class UnifiedNode {
     });
   }
 
+  // Every message from a client, including those inside secure_message, must
+  // match its schema before a handler sees it
+  checkInboundMessage(ws, message) {
+    const error = validateMessage(HOST_MESSAGE_SCHEMAS, message);
+    if (!error) return true;
+
+    this.safeLog(`Rejected message from ${this.socketSessions.get(ws)?.nodeId?.slice(-8) || 'unidentified client'}: ${error.message}`, chalk.yellow);
+    this.replyWithError(ws, error, message);
+    return false;
+  }
+
+  // A socket speaks for the one node ID it proved at link_key time. Anything
+  // claiming another nodeId or fromNodeId is refused.
+  checkSocketIdentity(ws, message) {
+    if (message.type === 'host_key_request' || message.type === 'link_key') return true;
+
+    const nodeId = this.socketSessions.get(ws).nodeId;
+    if (!nodeId) {
+      this.replyWithError(ws, protocolError(ERROR_CODES.NOT_IDENTIFIED, 'Establish the host link before sending other messages', {
+        messageType: message.type
+      }), message);
+      return false;
+    }
+
+    for (const field of ['nodeId', 'fromNodeId']) {
+      if (message[field] !== undefined && message[field] !== nodeId) {
+        this.safeLog(`⚠️  Rejected ${message.type} from ${nodeId.slice(-8)} claiming to be ${String(message[field]).slice(-8)}`, chalk.red);
+        this.replyWithError(ws, protocolError(ERROR_CODES.IDENTITY_MISMATCH, `${field} does not match the identity of this connection`, {
+          messageType: message.type,
+          field
+        }), message);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // link_key carries a signature over the connection's hello digest, so only
+  // the holder of the identity key can claim its node ID on this socket. A
+  // node that proves itself again from a new connection replaces the old one.
+  bindSocketIdentity(ws, message) {
+    const session = this.socketSessions.get(ws);
+    if (session.nodeId && session.nodeId !== message.nodeId) {
+      this.replyWithError(ws, protocolError(ERROR_CODES.IDENTITY_MISMATCH, 'This connection already belongs to another node ID', {
+        messageType: message.type,
+        field: 'nodeId'
+      }), message);
+      return false;
+    }
+
+    const signedFields = ['link-key', message.nodeId, this.nodeId, message.ciphertext, session.digest];
+    if (!this.verifyPeerSignature(message.nodeId, message.signingKey, message.signature, ...signedFields)) {
+      this.rejectConnection(ws, protocolError(ERROR_CODES.INVALID_PROOF, `No proof of the identity key for ${message.nodeId}`), message);
+      return false;
+    }
+
+    const previous = this.boundSockets.get(message.nodeId);
+    if (previous && previous !== ws) {
+      this.safeLog(`${message.nodeId.slice(-8)} connected again; closing its previous connection`, chalk.yellow);
+      this.socketSessions.get(previous).nodeId = null;
+      this.authenticatedNodes.delete(message.nodeId); // The new connection authenticates for itself
+      if (this.connectedNodes.get(message.nodeId)?.socket === previous) {
+        this.connectedNodes.delete(message.nodeId);
+      }
+      this.replyWithError(previous, protocolError(ERROR_CODES.SESSION_REPLACED, 'This identity connected to the host again from another connection'));
+      previous.close(1008, ERROR_CODES.SESSION_REPLACED);
+    }
+
+    session.nodeId = message.nodeId;
+    this.boundSockets.set(message.nodeId, ws);
+    return true;
+  }
+
+  // Errors answering a request carry its requestId, so the client can fail
+  // exactly that call
+  replyWithError(ws, error, request = null) {
+    try {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(request?.requestId ? { ...error, requestId: request.requestId } : error));
+      }
+    } catch (sendError) {
+      // Ignore send errors - connection might be broken
+    }
+  }
+
+  // Nothing but a hello is handled until the socket has agreed on a protocol
+  // version; older clients get a clear error instead of replies they misread
+  acceptProtocolMessage(ws, message) {
+    if (message?.type === 'hello') {
+      if (this.checkInboundMessage(ws, message)) {
+        this.handleHello(ws, message);
+      }
+      return false;
+    }
+    if (this.socketSessions.has(ws)) return true;
+
+    this.rejectConnection(ws, protocolError(
+      ERROR_CODES.HELLO_REQUIRED,
+      `This host speaks MELQ protocol ${PROTOCOL_VERSION} and expects a hello first. Update MELQ to join.`
+    ));
+    return false;
+  }
+
+  handleHello(ws, message) {
+    if (this.socketSessions.has(ws)) return;
+
+    const result = negotiate(message);
+    if (result.error) {
+      this.rejectConnection(ws, result.error, message);
+      return;
+    }
+
+    // The nonce makes every connection's digest unique, so identity proofs cannot be replayed
+    const hello = createHello(getLocalCapabilities(), { nonce: crypto.randomBytes(16).toString('base64') });
+    this.socketSessions.set(ws, { ...result, digest: helloDigest(message, hello), nodeId: null });
+    ws.send(JSON.stringify({ ...hello, requestId: message.requestId }));
+  }
+
+  rejectConnection(ws, error, request = null) {
+    this.safeLog(`Rejected connection: ${error.message}`, chalk.yellow);
+    this.replyWithError(ws, error, request);
+    ws.close(1002, error.code);
+  }
+
   async handleHostMessage(ws, message) {
     switch (message.type) {
+      case 'host_key_request':
+        // Prove we hold the identity key pinned in the connection code and hand
+        // out the ML-KEM key the client should encapsulate the link key to. The
+        // hello digest is signed too, so nobody in between can strip capabilities.
+        if (ws) {
+          const session = this.socketSessions.get(ws);
+          const hybrid = session.capabilities.includes(CAPABILITIES.HYBRID_KEM);
+          ws.send(JSON.stringify({
+            type: 'host_key',
+            hostNodeId: this.nodeId,
+            signingKey: this.identity.publicKey,
+            publicKey: this.keyPair.publicKey,
+            signature: this.signFields('host-key', message.nonce, this.nodeId, this.keyPair.publicKey, session.digest),
+            ...(hybrid ? this.getX25519KeyFields() : {}),
+            requestId: message.requestId
+          }));
+        }
+        break;
+
+      case 'link_key':
+        if (ws) {
+          if (!this.bindSocketIdentity(ws, message)) return;
+
+          // A client that negotiated hybrid may not fall back to plain ML-KEM
+          let linkSecret;
+          try {
+            linkSecret = await this.kem.decapsulate({
+              mode: message.kem,
+              ciphertext: message.ciphertext,
+              x25519Ciphertext: message.x25519Ciphertext
+            }, this.keyPair, { requireHybrid: this.socketSessions.get(ws).capabilities.includes(CAPABILITIES.HYBRID_KEM) });
+          } catch (error) {
+            this.rejectConnection(ws, protocolError(ERROR_CODES.MISSING_CAPABILITY, error.message), message);
+            return;
+          }
+          const salt = transcriptSalt('host-link', message.nodeId, this.nodeId, this.keyPair.publicKey, message.ciphertext,
+            ...this.getKeyExchangeFields(message.kem, message.x25519Ciphertext));
+          this.peerKeys.set(message.nodeId, linkSecret);
+          this.sessionKeys.set(message.nodeId, deriveSessionKeys(linkSecret, salt, this.nodeId, message.nodeId));
+          this.linkSequences.delete(message.nodeId); // A new link starts counting from zero
+          ws.send(JSON.stringify({ type: 'link_established', requestId: message.requestId }));
+        }
+        break;
+
       case 'password_challenge':
         // Client is requesting password challenge
         if (ws) {
-          if (this.sessionPassword) {
+          if (this.sessionVerifier) {
+            const challenge = this.srp.createServerChallenge(this.sessionVerifier.verifier);
+            this.pakeChallenges.set(message.nodeId, challenge);
             const response = { 
               type: 'password_required',
-              message: 'This session is password protected. Please enter the password.'
+              message: 'This session is password protected. Please enter the password.',
+              salt: this.sessionVerifier.salt,
+              serverPublic: challenge.B,
+              requestId: message.requestId
             };
             const encrypted = this.encryptMessageForNode(response, message.nodeId);
             ws.send(JSON.stringify(encrypted.data));
           } else {
-            const response = { type: 'password_not_required' };
+            const response = { type: 'password_not_required', requestId: message.requestId };
             const encrypted = this.encryptMessageForNode(response, message.nodeId);
             ws.send(JSON.stringify(encrypted.data));
           }
@@ -259,20 +713,29 @@ export class UnifiedNode {
 
       case 'register':
         if (ws) {
+          if (!this.verifyPeerKeyBinding(message)) {
+            this.safeLog(`Rejected registration with invalid identity signature for ${message.nodeId}`, chalk.red);
+            ws.send(JSON.stringify({
+              type: 'access_denied',
+              message: 'Identity verification failed',
+              requestId: message.requestId
+            }));
+            return;
+          }
+
           this.connectedNodes.set(message.nodeId, {
             socket: ws,
             publicKey: message.publicKey,
+            signingKey: message.signingKey,
+            keySignature: message.keySignature,
+            x25519PublicKey: message.x25519PublicKey,
+            x25519KeySignature: message.x25519KeySignature,
             address: message.address,
             timestamp: Date.now(),
-            authenticated: message.authenticated || false
+            authenticated: this.isNodeAuthenticated(message.nodeId)
           });
-          
-          // Auto-authenticate the host's own client connection
-          if (message.authenticated) {
-            this.authenticatedNodes.add(message.nodeId);
-          }
 
-          const response = { type: 'registered', nodeId: message.nodeId };
+          const response = { type: 'registered', nodeId: message.nodeId, requestId: message.requestId };
           const encrypted = this.encryptMessageForNode(response, message.nodeId);
           ws.send(JSON.stringify(encrypted.data));
         }
@@ -282,7 +745,7 @@ export class UnifiedNode {
         // Decrypt and handle encrypted message
         try {
           const decryptedMessage = this.decryptSecureMessage(message);
-          if (decryptedMessage) {
+          if (decryptedMessage && (!ws || (this.checkInboundMessage(ws, decryptedMessage) && this.checkSocketIdentity(ws, decryptedMessage)))) {
             await this.handleHostMessage(ws, decryptedMessage);
           }
         } catch (error) {
@@ -297,7 +760,8 @@ export class UnifiedNode {
           if (ws) {
             const denialMessage = { 
               type: 'access_denied', 
-              message: 'Authentication required' 
+              message: 'Authentication required',
+              requestId: message.requestId
             };
             const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
             ws.send(JSON.stringify(encrypted.data));
@@ -310,23 +774,83 @@ export class UnifiedNode {
           .map(([id, node]) => ({
             nodeId: id,
             publicKey: node.publicKey,
+            signingKey: node.signingKey,
+            keySignature: node.keySignature,
+            x25519PublicKey: node.x25519PublicKey,
+            x25519KeySignature: node.x25519KeySignature,
             address: node.address
           }));
         
         if (ws) {
-          const response = { type: 'node_list', nodes: nodeList };
+          const response = { type: 'node_list', nodes: nodeList, requestId: message.requestId };
           const encryptedResponse = this.encryptMessageForNode(response, message.nodeId);
           ws.send(JSON.stringify(encryptedResponse.data));
         }
         break;
 
+      case 'get_history':
+        if (!this.isNodeAuthenticated(message.nodeId)) {
+          if (ws) {
+            const denialMessage = { 
+              type: 'access_denied', 
+              message: 'Authentication required',
+              requestId: message.requestId
+            };
+            const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
+            ws.send(JSON.stringify(encrypted.data));
+          }
+          return;
+        }
+
+        const historyChat = this.chatRooms.get(message.chatId);
+        const historyResponse = historyChat && historyChat.participants.includes(message.nodeId)
+          ? {
+            type: 'history_page',
+            chatId: message.chatId,
+            ...this.getHistoryPage(message.chatId, {
+              before: message.before,
+              limit: Math.min(message.limit || HISTORY_PAGE_SIZE, LIMITS.PAGE)
+            })
+          }
+          : protocolError(ERROR_CODES.ACCESS_DENIED, 'Not a participant in this chat');
+        if (ws && message.requestId) {
+          const encrypted = this.encryptMessageForNode({ ...historyResponse, requestId: message.requestId }, message.nodeId);
+          ws.send(JSON.stringify(encrypted.data));
+        }
+        break;
+
+      case 'search_history':
+        if (!this.isNodeAuthenticated(message.nodeId)) {
+          if (ws) {
+            const denialMessage = { 
+              type: 'access_denied', 
+              message: 'Authentication required',
+              requestId: message.requestId
+            };
+            const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
+            ws.send(JSON.stringify(encrypted.data));
+          }
+          return;
+        }
+
+        const searchedChat = message.chatId && this.chatRooms.get(message.chatId);
+        const searchResponse = message.chatId && !(searchedChat && searchedChat.participants.includes(message.nodeId))
+          ? protocolError(ERROR_CODES.ACCESS_DENIED, 'Not a participant in this chat')
+          : { type: 'search_results', ...this.searchChatHistory(message) };
+        if (ws && message.requestId) {
+          const encrypted = this.encryptMessageForNode({ ...searchResponse, requestId: message.requestId }, message.nodeId);
+          ws.send(JSON.stringify(encrypted.data));
+        }
+        break;
+
       case 'get_chats':
         // Check authentication for password-protected sessions
         if (!this.isNodeAuthenticated(message.nodeId)) {
           if (ws) {
             const denialMessage = { 
               type: 'access_denied', 
-              message: 'Authentication required' 
+              message: 'Authentication required',
+              requestId: message.requestId
             };
             const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
             ws.send(JSON.stringify(encrypted.data));
@@ -334,15 +858,19 @@ export class UnifiedNode {
           return;
         }
 
-        const availableChats = Array.from(this.chatRooms.entries()).map(([chatId, chat]) => ({
-          chatId,
-          chatName: chat.name,
-          creator: chat.creator,
-          participants: chat.participants
-        }));
+        // Rooms are listed only to those who may join them
+        const availableChats = Array.from(this.chatRooms.entries())
+          .filter(([chatId, chat]) => this.mayJoinChat(chat, message.nodeId))
+          .map(([chatId, chat]) => ({
+            chatId,
+            chatName: chat.name,
+            creator: chat.creator,
+            participants: chat.participants,
+            ...(chat.direct ? { direct: true } : {})
+          }));
         
         if (ws) {
-          const response = { type: 'chat_list', chats: availableChats };
+          const response = { type: 'chat_list', chats: availableChats, requestId: message.requestId };
           const encrypted = this.encryptMessageForNode(response, message.nodeId);
           ws.send(JSON.stringify(encrypted.data));
         } else {
@@ -357,7 +885,8 @@ export class UnifiedNode {
           if (ws) {
             const denialMessage = { 
               type: 'access_denied', 
-              message: 'Authentication required' 
+              message: 'Authentication required',
+              requestId: message.requestId
             };
             const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
             ws.send(JSON.stringify(encrypted.data));
@@ -372,6 +901,7 @@ export class UnifiedNode {
           participants: [message.nodeId],
           created: Date.now()
         });
+        this.persist(store => store.saveRoom(chatId, this.chatRooms.get(chatId)));
         
         // Add to local chats
         this.chats.set(chatId, {
@@ -403,7 +933,8 @@ export class UnifiedNode {
           if (ws) {
             const denialMessage = { 
               type: 'access_denied', 
-              message: 'Authentication required' 
+              message: 'Authentication required',
+              requestId: message.requestId
             };
             const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
             ws.send(JSON.stringify(encrypted.data));
@@ -412,9 +943,22 @@ export class UnifiedNode {
         }
 
         const chat = this.chatRooms.get(message.chatId);
-        if (chat && !chat.participants.includes(message.nodeId)) {
+        if (!chat || !this.mayJoinChat(chat, message.nodeId)) break;
+
+        const isNewParticipant = !chat.participants.includes(message.nodeId);
+        if (isNewParticipant) {
           chat.participants.push(message.nodeId);
-          
+        }
+
+        // Tell the joiner who is in the room so it can seal messages for them
+        this.sendToClient({
+          type: 'chat_joined',
+          chatId: message.chatId,
+          chatName: chat.name,
+          participants: chat.participants
+        }, message.nodeId);
+
+        if (isNewParticipant) {
           // Send chat history to the new participant
           this.sendChatHistoryToParticipant(message.nodeId, message.chatId);
           
@@ -430,13 +974,38 @@ export class UnifiedNode {
         }
         break;
 
+      case 'open_direct_chat':
+      case 'send_direct_message':
+        if (!this.isNodeAuthenticated(message.nodeId)) {
+          if (ws) {
+            const denialMessage = { 
+              type: 'access_denied', 
+              message: 'Authentication required',
+              requestId: message.requestId
+            };
+            const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
+            ws.send(JSON.stringify(encrypted.data));
+          }
+          return;
+        }
+
+        const directResponse = message.type === 'open_direct_chat'
+          ? this.createDirectChat(message)
+          : this.relayDirectMessage(message);
+        if (ws && message.requestId) {
+          const encrypted = this.encryptMessageForNode({ ...directResponse, requestId: message.requestId }, message.nodeId);
+          ws.send(JSON.stringify(encrypted.data));
+        }
+        break;
+
       case 'send_chat_message':
         // Check authentication for password-protected sessions
         if (!this.isNodeAuthenticated(message.nodeId)) {
           if (ws) {
             const denialMessage = { 
               type: 'access_denied', 
-              message: 'Authentication required' 
+              message: 'Authentication required',
+              requestId: message.requestId
             };
             const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
             ws.send(JSON.stringify(encrypted.data));
@@ -445,13 +1014,57 @@ export class UnifiedNode {
         }
 
         try {
-          await this.handleChatMessage(message);
+          const response = await this.handleChatMessage(message);
+          if (ws && response && message.requestId) {
+            const encrypted = this.encryptMessageForNode({ ...response, requestId: message.requestId }, message.nodeId);
+            ws.send(JSON.stringify(encrypted.data));
+          }
         } catch (error) {
           console.error('Chat message handling error:', error);
           this.safeLog(`Failed to handle chat message: ${error.message}`, chalk.red);
         }
         break;
 
+      case 'delivery_ack':
+        if (!this.isNodeAuthenticated(message.nodeId)) return;
+        this.forwardDeliveryAck(message);
+        break;
+
+      case 'read_receipt':
+        if (!this.isNodeAuthenticated(message.nodeId)) return;
+        this.forwardReadReceipt(message);
+        break;
+
+      case 'typing':
+        if (!this.isNodeAuthenticated(message.nodeId)) return;
+        this.forwardTypingNotice(message);
+        break;
+
+      case 'edit_chat_message':
+      case 'delete_chat_message':
+      case 'react_to_message':
+        if (!this.isNodeAuthenticated(message.nodeId)) {
+          if (ws) {
+            const denialMessage = { 
+              type: 'access_denied', 
+              message: 'Authentication required',
+              requestId: message.requestId
+            };
+            const encrypted = this.encryptMessageForNode(denialMessage, message.nodeId);
+            ws.send(JSON.stringify(encrypted.data));
+          }
+          return;
+        }
+
+        const updateResponse = message.type === 'react_to_message'
+          ? this.updateReactions(message)
+          : this.updateChatMessage(message);
+        if (ws && message.requestId) {
+          const encrypted = this.encryptMessageForNode({ ...updateResponse, requestId: message.requestId }, message.nodeId);
+          ws.send(JSON.stringify(encrypted.data));
+        }
+        break;
+
       case 'relay_message':
         this.relayEncryptedMessage(message);
         break;
@@ -468,42 +1081,57 @@ export class UnifiedNode {
   }
 
   async handlePasswordAttempt(ws, message) {
-    if (!this.sessionPassword) {
+    if (!this.sessionVerifier) {
       // No password required, mark as authenticated
       if (message.nodeId) {
         this.authenticatedNodes.add(message.nodeId);
       }
-      const response = { type: 'password_accepted' };
+      const response = { type: 'password_accepted', requestId: message.requestId };
       const encrypted = this.encryptMessageForNode(response, message.nodeId);
       ws.send(JSON.stringify(encrypted.data));
     } else {
-      // Check if password is encrypted or plaintext
-      let passwordToCheck = message.password;
-      
-      if (message.encryptedPassword && message.ciphertext) {
-        // Decrypt the password using ML-KEM
+      // Each challenge allows exactly one guess
+      const challenge = this.pakeChallenges.get(message.nodeId);
+      this.pakeChallenges.delete(message.nodeId);
+
+      let result = null;
+      if (challenge) {
         try {
-          const sharedSecret = await this.mlkem.decapsulate(message.ciphertext, this.keyPair.privateKey);
-          const decryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
-          passwordToCheck = this.aesCrypto.decrypt(message.encryptedPassword, decryptionKey);
+          result = this.srp.verifyClient(
+            challenge,
+            this.sessionVerifier.verifier,
+            this.sessionVerifier.salt,
+            message.clientPublic,
+            message.clientProof,
+            [message.nodeId, this.nodeId]
+          );
         } catch (error) {
-          this.safeLog(`Failed to decrypt password: ${error.message}`, chalk.red);
-          passwordToCheck = null; // Force rejection
+          this.safeLog(`Malformed password proof from ${message.nodeId}: ${error.message}`, chalk.red);
         }
       }
       
-      if (passwordToCheck === this.sessionPassword) {
+      if (result) {
         // Correct password, mark as authenticated
         if (message.nodeId) {
           this.authenticatedNodes.add(message.nodeId);
         }
-        const response = { type: 'password_accepted' };
+        const response = { type: 'password_accepted', serverProof: result.M2, requestId: message.requestId };
         const encrypted = this.encryptMessageForNode(response, message.nodeId);
         ws.send(JSON.stringify(encrypted.data));
+
+        // From here on the link is keyed by the password exchange as well
+        const session = this.sessionKeys.get(message.nodeId);
+        if (session) {
+          const boundSecret = this.srp.bindLinkSecret(session.secret, result.sessionKey);
+          this.peerKeys.set(message.nodeId, boundSecret);
+          this.sessionKeys.set(message.nodeId, deriveSessionKeys(boundSecret, session.salt, this.nodeId, message.nodeId));
+        }
       } else {
+        this.safeLog(`Failed password attempt from ${message.nodeId}`, chalk.yellow);
         const rejectionMessage = { 
           type: 'password_rejected',
-          message: 'Incorrect password. Access denied.'
+          message: 'Incorrect password. Access denied.',
+          requestId: message.requestId
         };
         const encrypted = this.encryptMessageForNode(rejectionMessage, message.nodeId);
         ws.send(JSON.stringify(encrypted.data));
@@ -519,7 +1147,7 @@ export class UnifiedNode {
 
   // Check if node is authenticated for password-protected sessions
   isNodeAuthenticated(nodeId) {
-    if (!this.sessionPassword) return true; // No password required
+    if (!this.sessionVerifier) return true; // No password required
     return this.authenticatedNodes.has(nodeId);
   }
 
@@ -560,27 +1188,56 @@ export class UnifiedNode {
     return null;
   }
 
+  // Returns the response for the sender: a message_accepted ack once the
+  // message is stored and passed on, or an error when it was refused
   async handleChatMessage(message) {
     const chat = this.chatRooms.get(message.chatId);
     if (!chat) {
       this.safeLog(`Chat not found: ${message.chatId}`, chalk.red);
-      return;
+      return protocolError(ERROR_CODES.ACCESS_DENIED, 'Chat not found');
+    }
+
+    if (!chat.participants.includes(message.nodeId)) {
+      this.safeLog(`Rejected message from non-participant ${message.nodeId.slice(-8)} in ${chat.name}`, chalk.yellow);
+      return protocolError(ERROR_CODES.ACCESS_DENIED, 'Not a participant in this chat');
+    }
+
+    // Direct chats never go into the host's history
+    if (chat.direct) {
+      return protocolError(ERROR_CODES.ACCESS_DENIED, 'Direct chats only carry direct messages');
+    }
+
+    const accepted = message.messageId ? {
+      type: 'message_accepted',
+      chatId: message.chatId,
+      messageId: message.messageId,
+      recipients: chat.participants.filter(nodeId => nodeId !== message.nodeId).length
+    } : null;
+
+    // A retry of a message we already took: only the ack was lost
+    if (message.messageId && this.hasChatMessage(message.chatId, message.nodeId, message.messageId)) {
+      return accepted;
+    }
+
+    if (message.sealed) {
+      this.forwardSealedChatMessage(chat, message);
+      return accepted;
     }
 
     // Create message data
     const messageData = {
       chatId: message.chatId,
+      messageId: message.messageId,
+      ...this.getThreadFields(message),
       text: message.messageText,
       timestamp: message.timestamp,
       fromNodeId: message.nodeId,
+      signature: message.signature,
       senderAlias: message.nodeId.slice(-8)
     };
 
     // Store message in chat history
-    if (!this.chatHistory.has(message.chatId)) {
-      this.chatHistory.set(message.chatId, []);
-    }
-    this.chatHistory.get(message.chatId).push(messageData);
+    this.appendChatHistory(message.chatId, messageData);
 
     // Ensure all participants have key exchanges with the sender
     await this.ensureKeyExchangesForChat(message.chatId, message.nodeId);
@@ -591,9 +1248,8 @@ export class UnifiedNode {
         const participantNode = this.connectedNodes.get(participantId);
         if (participantNode && participantNode.socket.readyState === WebSocket.OPEN) {
           // Check if we have a shared key with this participant
-          if (this.peerKeys.has(participantId)) {
-            const sharedSecret = this.peerKeys.get(participantId);
-            const encryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
+          if (this.sessionKeys.has(participantId)) {
+            const encryptionKey = this.sessionKeys.get(participantId).sendKey;
             const encryptedData = this.aesCrypto.encrypt(JSON.stringify(messageData), encryptionKey);
 
             // Send encrypted message directly to participant
@@ -621,33 +1277,480 @@ export class UnifiedNode {
     if (message.nodeId === this.nodeId && this.messageHandlers.has('message')) {
       this.messageHandlers.get('message')(messageData);
     }
+
+    return accepted;
   }
 
-  async ensureKeyExchangesForChat(chatId, senderId) {
-    const chat = this.chatRooms.get(chatId);
-    if (!chat) return;
+  // Edits and deletions replace the stored message, so members who join later
+  // only ever see its current state. Only the author may change a message.
+  updateChatMessage(message) {
+    const chat = this.chatRooms.get(message.chatId);
+    if (!chat || !chat.participants.includes(message.nodeId)) {
+      return protocolError(ERROR_CODES.ACCESS_DENIED, 'Not a participant in this chat');
+    }
 
-    // Ensure sender has key exchanges with all other participants
-    for (const participantId of chat.participants) {
-      if (participantId !== senderId) {
-        const senderNode = this.connectedNodes.get(senderId);
-        const participantNode = this.connectedNodes.get(participantId);
-        
-        if (senderNode && participantNode) {
-          // Check if sender has key exchange with participant (from sender's perspective)
-          if (!this.peerKeys.has(participantId) || this.peerKeys.get(participantId) === 'pending') {
-            this.safeLog(`Ensuring key exchange between ${senderId.slice(-8)} and ${participantId.slice(-8)}`, chalk.cyan);
-            await this.facilitateKeyExchange(senderId, participantId);
-          }
-        }
+    const history = this.chatHistory.get(message.chatId) || [];
+    const index = history.findIndex(entry => entry.messageId === message.messageId);
+    const entry = history[index];
+    if (!entry || entry.deletedAt) {
+      return protocolError(ERROR_CODES.NOT_FOUND, 'Message not found');
+    }
+    if (entry.fromNodeId !== message.nodeId) {
+      return protocolError(ERROR_CODES.ACCESS_DENIED, 'Only the author can change a message');
+    }
+
+    // Once its author changes it, an imported message is theirs again
+    const { text, signature, sealed, editedAt, imported, ...kept } = entry;
+    let update;
+
+    if (message.type === 'delete_chat_message') {
+      // Tombstone: the content and reactions are gone, the author's signed
+      // deletion stays
+      delete kept.reactions;
+      history[index] = { ...kept, deletedAt: message.deletedAt, signature: message.signature };
+      this.persist(store => store.replaceMessage(message.chatId, history[index]));
+      update = {
+        type: 'message_deleted',
+        fromNodeId: message.nodeId,
+        chatId: message.chatId,
+        messageId: message.messageId,
+        deletedAt: message.deletedAt,
+        signature: message.signature
+      };
+    } else {
+      if (!message.sealed && !message.messageText) {
+        return protocolError(ERROR_CODES.INVALID_MESSAGE, 'Edit has no content', { messageType: message.type });
+      }
+
+      const content = message.sealed
+        ? { sealed: message.sealed }
+        : { text: message.messageText, signature: message.signature };
+      history[index] = { ...kept, editedAt: message.editedAt, ...content };
+      this.persist(store => store.replaceMessage(message.chatId, history[index]));
+      update = {
+        type: 'message_edited',
+        fromNodeId: message.nodeId,
+        chatId: message.chatId,
+        messageId: message.messageId,
+        editedAt: message.editedAt,
+        ...content
+      };
+    }
+
+    const recipients = chat.participants.filter(nodeId => nodeId !== message.nodeId);
+    for (const nodeId of recipients) {
+      if (this.clientHasCapability(nodeId, CAPABILITIES.MESSAGE_EDITS)) {
+        this.sendToClient(update, nodeId);
       }
     }
+
+    return { type: 'message_accepted', chatId: message.chatId, messageId: message.messageId, recipients: recipients.length };
   }
 
-  async facilitateKeyExchange(nodeId1, nodeId2) {
-    // Check if key exchange already exists
-    const keyId = `${nodeId1}-${nodeId2}`;
-    const reverseKeyId = `${nodeId2}-${nodeId1}`;
+  // Reactions are stored with the message they belong to, one signed entry
+  // per member and emoji, so newcomers get them with the chat history
+  updateReactions(message) {
+    const chat = this.chatRooms.get(message.chatId);
+    if (!chat || !chat.participants.includes(message.nodeId)) {
+      return protocolError(ERROR_CODES.ACCESS_DENIED, 'Not a participant in this chat');
+    }
+
+    const history = this.chatHistory.get(message.chatId) || [];
+    const entry = history.find(candidate => candidate.messageId === message.messageId);
+    if (!entry || entry.deletedAt) {
+      return protocolError(ERROR_CODES.NOT_FOUND, 'Message not found');
+    }
+
+    const reactions = (entry.reactions || [])
+      .filter(reaction => reaction.nodeId !== message.nodeId || reaction.emoji !== message.emoji);
+    if (!message.removed) {
+      if (reactions.length >= LIMITS.REACTIONS) {
+        return protocolError(ERROR_CODES.ACCESS_DENIED, 'This message has too many reactions');
+      }
+      reactions.push({
+        nodeId: message.nodeId,
+        emoji: message.emoji,
+        reactedAt: message.reactedAt,
+        signature: message.signature
+      });
+    }
+    entry.reactions = reactions;
+    this.persist(store => store.replaceMessage(message.chatId, entry));
+
+    const recipients = chat.participants.filter(nodeId => nodeId !== message.nodeId);
+    for (const nodeId of recipients) {
+      if (this.clientHasCapability(nodeId, CAPABILITIES.REACTIONS)) {
+        this.sendToClient({
+          type: 'reaction',
+          fromNodeId: message.nodeId,
+          chatId: message.chatId,
+          messageId: message.messageId,
+          emoji: message.emoji,
+          removed: !!message.removed,
+          reactedAt: message.reactedAt,
+          signature: message.signature
+        }, nodeId);
+      }
+    }
+
+    return { type: 'message_accepted', chatId: message.chatId, messageId: message.messageId, recipients: recipients.length };
+  }
+
+  // A reply belongs to the thread of the message it answers; the thread is
+  // named after its first message
+  getThreadFields(message) {
+    if (!message.replyTo) return {};
+
+    const history = this.chatHistory.get(message.chatId) || [];
+    const parent = history.find(entry => entry.messageId === message.replyTo);
+    return { replyTo: message.replyTo, threadId: (parent && parent.threadId) || message.replyTo };
+  }
+
+  hasChatMessage(chatId, fromNodeId, messageId) {
+    const history = this.chatHistory.get(chatId) || [];
+    return history.some(entry => entry.messageId === messageId && entry.fromNodeId === fromNodeId);
+  }
+
+  // Recipients ack to the host, which passes the ack on to the sender only.
+  // The ack is signed by the recipient, so the host cannot make one up.
+  forwardDeliveryAck(message) {
+    const chat = this.chatRooms.get(message.chatId);
+    if (!chat || !chat.participants.includes(message.nodeId)) return;
+
+    if (!this.clientHasCapability(message.senderId, CAPABILITIES.DELIVERY_ACKS)) return;
+
+    this.sendToClient({
+      type: 'delivery_ack',
+      fromNodeId: message.nodeId,
+      chatId: message.chatId,
+      messageId: message.messageId,
+      signature: message.signature
+    }, message.senderId);
+  }
+
+  // Read receipts go to the sender of the messages only, signed by the reader
+  forwardReadReceipt(message) {
+    const chat = this.chatRooms.get(message.chatId);
+    if (!chat || !chat.participants.includes(message.nodeId)) return;
+    if (!this.clientHasCapability(message.senderId, CAPABILITIES.READ_RECEIPTS)) return;
+
+    this.sendToClient({
+      type: 'read_receipt',
+      fromNodeId: message.nodeId,
+      chatId: message.chatId,
+      messageIds: message.messageIds,
+      signature: message.signature
+    }, message.senderId);
+  }
+
+  // Typing notices go to the other participants of the chat and nobody else
+  forwardTypingNotice(message) {
+    const chat = this.chatRooms.get(message.chatId);
+    if (!chat || !chat.participants.includes(message.nodeId)) return;
+
+    for (const nodeId of chat.participants) {
+      if (nodeId === message.nodeId || !this.clientHasCapability(nodeId, CAPABILITIES.TYPING)) continue;
+      this.sendToClient({ type: 'typing', fromNodeId: message.nodeId, chatId: message.chatId }, nodeId);
+    }
+  }
+
+  // Whether a connected client agreed on a capability in its hello
+  clientHasCapability(nodeId, capability) {
+    const node = this.connectedNodes.get(nodeId);
+    if (!node || node.socket.readyState !== WebSocket.OPEN) return false;
+
+    const session = this.socketSessions.get(node.socket);
+    return !!session && session.capabilities.includes(capability);
+  }
+
+  // E2E mode: the payload was sealed under the sender's key for this chat. The host
+  // never holds that key, so it can only store the envelope and pass it on.
+  forwardSealedChatMessage(chat, message) {
+    const threadFields = this.getThreadFields(message);
+    const messageData = {
+      chatId: message.chatId,
+      messageId: message.messageId,
+      ...threadFields,
+      sealed: message.sealed,
+      timestamp: message.timestamp,
+      fromNodeId: message.nodeId,
+      senderAlias: message.nodeId.slice(-8)
+    };
+
+    this.appendChatHistory(message.chatId, messageData);
+
+    // The same envelope goes to everyone; only holders of the sender key can open it
+    this.broadcastToChatParticipants(message.chatId, {
+      type: 'sealed_message',
+      fromNodeId: message.nodeId,
+      chatId: message.chatId,
+      sealed: message.sealed,
+      messageId: message.messageId,
+      ...threadFields,
+      timestamp: message.timestamp
+    }, message.nodeId);
+  }
+
+  appendChatHistory(chatId, messageData) {
+    if (!this.chatHistory.has(chatId)) {
+      this.chatHistory.set(chatId, []);
+    }
+    const history = this.chatHistory.get(chatId);
+    history.push(messageData);
+    this.persist(store => store.appendMessage(chatId, messageData));
+
+    // Stored copies of the oldest go at the next compaction
+    const { retentionMessages } = this.storageOptions;
+    if (retentionMessages > 0 && history.length > retentionMessages) {
+      history.splice(0, history.length - retentionMessages);
+      this.historyTrimmed = true;
+    }
+  }
+
+  // Up to `limit` history entries just before the one with message ID
+  // `before`, or the newest ones. The oldest entry returned is the cursor for
+  // the next page. A cursor retention has removed leaves nothing older either.
+  getHistoryPage(chatId, { before = null, limit = HISTORY_PAGE_SIZE } = {}) {
+    const history = this.chatHistory.get(chatId) || [];
+    const end = before ? history.findIndex(entry => entry.messageId === before) : history.length;
+    if (end === -1) return { messages: [], hasMore: false };
+
+    const start = Math.max(0, end - limit);
+    const messages = history.slice(start, end);
+    const cursor = messages.length > 0 ? messages[0].messageId : null;
+    return { messages, hasMore: start > 0 && !!cursor, ...(cursor ? { cursor } : {}) };
+  }
+
+  // History entries matching a search, newest first, from one chat or every
+  // chat the searcher is in. Only host-encrypted messages can match: sealed
+  // ones are opaque to us.
+  searchChatHistory({ nodeId, chatId, query, fromNodeId, since, until, limit }) {
+    const max = Math.min(limit || SEARCH_RESULT_LIMIT, LIMITS.PAGE);
+    const chatIds = chatId ? [chatId] : Array.from(this.chatRooms.keys());
+    const matches = [];
+
+    for (const id of chatIds) {
+      const chat = this.chatRooms.get(id);
+      if (!chat || !chat.participants.includes(nodeId)) continue;
+      for (const entry of this.chatHistory.get(id) || []) {
+        if (entry.sealed || entry.deletedAt) continue;
+        if (matchesSearch(entry, { query, fromNodeId, since, until })) matches.push(entry);
+      }
+    }
+
+    matches.sort((a, b) => b.timestamp - a.timestamp);
+    return { messages: matches.slice(0, max), hasMore: matches.length > max };
+  }
+
+  // Load the rooms and history a previous run left behind, then compact the
+  // store down to what the retention settings keep
+  async openStorage(name) {
+    const { backend, dir, keyFile } = this.storageOptions;
+    this.store = await openHostStore({ backend, name, dir, keyFile });
+    if (!this.store) return;
+
+    const { rooms, history } = this.store.load();
+    for (const [chatId, room] of rooms) {
+      this.chatRooms.set(chatId, room.direct ? { ...room, relayedIds: new Set() } : room);
+      if (history.has(chatId)) this.chatHistory.set(chatId, history.get(chatId));
+    }
+    this.applyRetention(true);
+
+    const messageCount = Array.from(this.chatHistory.values()).reduce((total, entries) => total + entries.length, 0);
+    console.log(chalk.gray(`✓ Restored ${rooms.size} chat(s) and ${messageCount} message(s) from ${this.store.backend} storage`));
+
+    this.retentionTimer = setInterval(() => this.applyRetention(), RETENTION_INTERVAL);
+    this.retentionTimer.unref();
+  }
+
+  // Seed a room's history from a JSON transcript (see /export). The room is
+  // created under the exported chat ID unless it already exists, open only to
+  // the transcript's members; messages it already holds are skipped, so
+  // importing twice changes nothing. Every entry is signed by the host, which
+  // clients show as "imported by host".
+  importTranscript(path) {
+    const { chat, members, entries } = parseTranscript(fs.readFileSync(path, 'utf8'));
+    const existing = this.chatRooms.get(chat.id);
+    if (existing && existing.direct) {
+      throw new Error(`${path}: ${chat.id} is a direct chat`);
+    }
+
+    if (!existing) {
+      this.chatRooms.set(chat.id, {
+        creator: this.nodeId,
+        name: chat.name,
+        participants: [],
+        members,
+        created: Date.now()
+      });
+    }
+
+    const history = this.chatHistory.get(chat.id) || [];
+    const known = new Set(history.map(entry => entry.messageId));
+    const added = entries
+      .filter(entry => !known.has(entry.messageId))
+      .map(entry => ({ ...entry, signature: this.signFields(...this.getImportedEntryFields(entry)) }));
+    this.chatHistory.set(chat.id, [...history, ...added].sort((a, b) => a.timestamp - b.timestamp));
+
+    // Retention applies to imported messages like any others
+    this.applyRetention(true);
+    console.log(chalk.gray(`✓ Imported ${added.length} message(s) into "${chat.name}" from ${path}`));
+    return { chatId: chat.id, imported: added.length };
+  }
+
+  // Direct chats are open only to their two members, imported rooms only to
+  // the people in the transcript, every other room to anyone on the host
+  mayJoinChat(chat, nodeId) {
+    if (chat.direct) return chat.participants.includes(nodeId);
+    return !chat.members || chat.members.includes(nodeId);
+  }
+
+  applyRetention(compact = false) {
+    const removed = applyRetention(this.chatHistory, this.storageOptions);
+    if (removed > 0) {
+      this.safeLog(`Dropped ${removed} message(s) past the retention limit`, chalk.gray);
+    }
+    if (removed > 0 || compact || this.historyTrimmed) {
+      this.historyTrimmed = false;
+      this.persist(store => store.rewrite(this.chatRooms, this.chatHistory));
+    }
+  }
+
+  closeStorage() {
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+    if (this.store) {
+      this.persist(store => store.close());
+      this.store = null;
+    }
+  }
+
+  // Storage problems are reported but never stop the chat itself
+  persist(write) {
+    if (!this.store) return;
+    try {
+      write(this.store);
+    } catch (error) {
+      this.safeLog(`⚠️  Could not write to ${this.store.backend} storage: ${error.message}`, chalk.red);
+    }
+  }
+
+  // Pairs this node was introduced to are introduced again when it comes back,
+  // since it will hold a new KEM key by then
+  forgetIntroductions(nodeId) {
+    for (const key of Array.from(this.peerKeys.keys())) {
+      if (key.startsWith(`${nodeId}-`) || key.endsWith(`-${nodeId}`)) {
+        this.peerKeys.delete(key);
+      }
+    }
+  }
+
+  removeParticipantFromChats(nodeId) {
+    for (const [chatId, chat] of this.chatRooms.entries()) {
+      // The two members of a direct chat stay members across reconnects
+      const index = chat.participants.indexOf(nodeId);
+      if (index === -1 || chat.direct) continue;
+
+      chat.participants.splice(index, 1);
+      this.broadcastToChatParticipants(chatId, {
+        type: 'user_left',
+        chatId,
+        nodeId
+      });
+    }
+  }
+
+  // A two-member room for private messages. It is never announced, and only
+  // its members see it in get_chats or may join it. Opening it again returns
+  // the existing room.
+  createDirectChat(message) {
+    const peerId = message.peerId;
+    if (peerId === message.nodeId || !this.connectedNodes.has(peerId) || !this.isNodeAuthenticated(peerId)) {
+      return protocolError(ERROR_CODES.NOT_FOUND, 'No such user is connected');
+    }
+    if (!this.clientHasCapability(peerId, CAPABILITIES.DIRECT_MESSAGES)) {
+      return protocolError(ERROR_CODES.MISSING_CAPABILITY, `${peerId.slice(-8)} cannot receive direct messages`);
+    }
+
+    const chatId = directChatId(message.nodeId, peerId);
+    if (!this.chatRooms.has(chatId)) {
+      this.chatRooms.set(chatId, {
+        creator: message.nodeId,
+        name: 'direct',
+        direct: true,
+        participants: [message.nodeId, peerId],
+        relayedIds: new Set(),
+        created: Date.now()
+      });
+      this.persist(store => store.saveRoom(chatId, this.chatRooms.get(chatId)));
+      this.sendToClient({ type: 'direct_chat', chatId, peerId: message.nodeId }, peerId);
+    }
+
+    // Direct messages travel under the pair's own ratchet
+    this.ensureKeyExchangesForNewParticipant(chatId, message.nodeId);
+    return { type: 'direct_chat', chatId, peerId };
+  }
+
+  // Direct messages are encrypted under the members' pairwise ratchet, so the
+  // host can neither read nor keep them. It only passes them to the other
+  // member, who must be online.
+  relayDirectMessage(message) {
+    const chat = this.chatRooms.get(message.chatId);
+    if (!chat || !chat.direct || !chat.participants.includes(message.nodeId)) {
+      return protocolError(ERROR_CODES.ACCESS_DENIED, 'Not a member of this direct chat');
+    }
+
+    const accepted = { type: 'message_accepted', chatId: message.chatId, messageId: message.messageId, recipients: 1 };
+    if (chat.relayedIds.has(message.messageId)) return accepted;
+
+    const peerId = chat.participants.find(nodeId => nodeId !== message.nodeId);
+    const peer = this.connectedNodes.get(peerId);
+    if (!peer || peer.socket.readyState !== WebSocket.OPEN) {
+      return protocolError(ERROR_CODES.NOT_CONNECTED, `${peerId.slice(-8)} is not connected`);
+    }
+
+    chat.relayedIds.add(message.messageId);
+    if (chat.relayedIds.size > DIRECT_MESSAGE_ID_LIMIT) {
+      chat.relayedIds.delete(chat.relayedIds.values().next().value);
+    }
+
+    this.sendToClient({
+      type: 'direct_message',
+      fromNodeId: message.nodeId,
+      chatId: message.chatId,
+      messageId: message.messageId,
+      ratchet: message.ratchet,
+      encryptedData: message.encryptedData,
+      timestamp: message.timestamp
+    }, peerId);
+    return accepted;
+  }
+
+  async ensureKeyExchangesForChat(chatId, senderId) {
+    const chat = this.chatRooms.get(chatId);
+    if (!chat) return;
+
+    // Ensure sender has key exchanges with all other participants
+    for (const participantId of chat.participants) {
+      if (participantId !== senderId) {
+        const senderNode = this.connectedNodes.get(senderId);
+        const participantNode = this.connectedNodes.get(participantId);
+        
+        if (senderNode && participantNode) {
+          // Check if sender has key exchange with participant (from sender's perspective)
+          if (!this.peerKeys.has(participantId) || this.peerKeys.get(participantId) === 'pending') {
+            this.safeLog(`Ensuring key exchange between ${senderId.slice(-8)} and ${participantId.slice(-8)}`, chalk.cyan);
+            await this.facilitateKeyExchange(senderId, participantId);
+          }
+        }
+      }
+    }
+  }
+
+  async facilitateKeyExchange(nodeId1, nodeId2) {
+    // Check if key exchange already exists
+    const keyId = `${nodeId1}-${nodeId2}`;
+    const reverseKeyId = `${nodeId2}-${nodeId1}`;
     
     if (this.peerKeys.has(keyId) || this.peerKeys.has(reverseKeyId)) {
       this.safeLog(`Key exchange already exists between ${nodeId1.slice(-8)} and ${nodeId2.slice(-8)}`, chalk.gray);
@@ -666,6 +1769,10 @@ export class UnifiedNode {
         type: 'peer_info',
         nodeId: nodeId2,
         publicKey: node2.publicKey,
+        signingKey: node2.signingKey,
+        keySignature: node2.keySignature,
+        x25519PublicKey: node2.x25519PublicKey,
+        x25519KeySignature: node2.x25519KeySignature,
         address: node2.address
       };
       const encrypted1 = this.encryptMessageForNode(message1, nodeId1);
@@ -675,6 +1782,10 @@ export class UnifiedNode {
         type: 'peer_info', 
         nodeId: nodeId1,
         publicKey: node1.publicKey,
+        signingKey: node1.signingKey,
+        keySignature: node1.keySignature,
+        x25519PublicKey: node1.x25519PublicKey,
+        x25519KeySignature: node1.x25519KeySignature,
         address: node1.address
       };
       const encrypted2 = this.encryptMessageForNode(message2, nodeId2);
@@ -692,6 +1803,10 @@ export class UnifiedNode {
         await this.initiateKeyExchange({
           nodeId: participantId,
           publicKey: participantNode.publicKey,
+          signingKey: participantNode.signingKey,
+          keySignature: participantNode.keySignature,
+          x25519PublicKey: participantNode.x25519PublicKey,
+          x25519KeySignature: participantNode.x25519KeySignature,
           address: participantNode.address
         });
       } catch (error) {
@@ -700,15 +1815,15 @@ export class UnifiedNode {
     }
   }
 
+  // Only the newest page goes out on join; older ones are fetched with get_history
   sendChatHistoryToParticipant(participantId, chatId) {
     const participantNode = this.connectedNodes.get(participantId);
-    const chatHistory = this.chatHistory.get(chatId) || [];
     
     if (participantNode && participantNode.socket.readyState === WebSocket.OPEN) {
       const message = {
         type: 'chat_history',
         chatId: chatId,
-        messages: chatHistory
+        ...this.getHistoryPage(chatId)
       };
       const encrypted = this.encryptMessageForNode(message, participantId);
       participantNode.socket.send(JSON.stringify(encrypted.data));
@@ -731,11 +1846,17 @@ export class UnifiedNode {
   async joinNetwork(connectionCode, isHostAutoClient = false) {
     await this.initialize();
     this.mode = NODE_MODES.CLIENT;
+
+    // Our KEM key is new, so pairwise sessions from an earlier connection are useless
+    for (const nodeId of Array.from(this.peerKeys.keys())) {
+      this.forgetPeer(nodeId);
+    }
     this.isHostAutoClient = isHostAutoClient;
     
     let coordinatorUrl;
+    let pinnedHostKey;
     try {
-      coordinatorUrl = parseConnectionCode(connectionCode);
+      ({ url: coordinatorUrl, hostKeyFingerprint: pinnedHostKey } = parseConnectionCodeDetails(connectionCode));
     } catch (error) {
       throw new Error(`Invalid connection code: ${error.message}`);
     }
@@ -757,16 +1878,31 @@ export class UnifiedNode {
 
       this.coordinatorWs.on('open', async () => {
         console.log(`📡 Joined network: ${coordinatorUrl}`);
+
+        // Agree on a protocol version, then send nothing else until the host
+        // has proven its identity
+        try {
+          await this.exchangeHello();
+        } catch (error) {
+          this.coordinatorWs.close(1000, 'protocol_mismatch');
+          reject(error);
+          return;
+        }
+
+        try {
+          await this.establishHostLink(pinnedHostKey);
+        } catch (error) {
+          this.coordinatorWs.close(1000, 'host_key_mismatch');
+          reject(error);
+          return;
+        }
+
         this.startHeartbeat();
         
         try {
-          // Skip password check for host auto-client
-          if (!this.isHostAutoClient) {
-            await this.checkPasswordRequirement();
-            this.safeLog('✅ Authentication completed', chalk.green);
-          } else {
-            this.safeLog('✅ Host auto-client connected', chalk.gray);
-          }
+          // The host auto-client authenticates like everyone else, using the password it was given
+          await this.checkPasswordRequirement();
+          this.safeLog(this.isHostAutoClient ? '✅ Host auto-client connected' : '✅ Authentication completed', this.isHostAutoClient ? chalk.gray : chalk.green);
           
           // Wait for registration to complete before attempting discovery
           await this.register();
@@ -787,7 +1923,9 @@ export class UnifiedNode {
       this.coordinatorWs.on('message', (data) => {
         try {
           const message = JSON.parse(data.toString());
-          this.handleClientMessage(message);
+          if (this.checkHostMessage(message)) {
+            this.handleClientMessage(message);
+          }
         } catch (error) {
           console.error('Failed to parse message:', error);
         }
@@ -824,48 +1962,20 @@ export class UnifiedNode {
 
 
   handleClientMessage(message) {
-    switch (message.type) {
-      case 'password_required':
-        // Server requires password authentication
-        this.handlePasswordChallenge(message.message);
-        break;
-
-      case 'password_not_required':
-        // Server doesn't require password, proceed with registration
-        this.attemptRegistration(true);
-        break;
-
-      case 'password_accepted':
-        // Password was correct, proceed with registration
-        this.attemptRegistration(true);
-        break;
-
-      case 'password_rejected':
-        // Password was incorrect
-        this.handlePasswordRejection(message.message);
-        break;
+    // Responses go to the request that asked for them, or nowhere if it gave up
+    if (message.requestId !== undefined) {
+      if (!this.rpc.settle(message)) {
+        this.safeLog(`Ignored late ${message.type} response from host`, chalk.gray);
+      }
+      return;
+    }
 
-      case 'registered':
-        this.safeLog(`Registered in network as ${message.nodeId}`, chalk.green);
-        
-        // Resolve registration promise if waiting
-        if (this.registrationResolver) {
-          clearTimeout(this.registrationTimeout);
-          this.registrationResolver();
-          this.registrationResolver = null;
-        }
-        
-        if (this.cliInterface) this.cliInterface.rl.prompt();
+    switch (message.type) {
+      case 'error':
+        this.handleHostError(message);
         break;
 
       case 'node_list':
-        // Resolve discovery promise if waiting
-        if (this.discoveryResolver) {
-          clearTimeout(this.discoveryTimeout);
-          this.discoveryResolver();
-          this.discoveryResolver = null;
-        }
-        
         this.handleNodeList(message.nodes);
         break;
 
@@ -889,14 +1999,81 @@ export class UnifiedNode {
         if (this.cliInterface) this.cliInterface.rl.prompt();
         break;
 
+      case 'chat_joined':
+        const joinedChat = this.chats.get(message.chatId);
+        this.chats.set(message.chatId, {
+          ...joinedChat,
+          id: message.chatId,
+          // Direct chats are named after the other member
+          name: joinedChat?.direct ? joinedChat.name : message.chatName,
+          participants: message.participants
+        });
+        break;
+
+      case 'direct_chat':
+        // Someone opened a direct chat with us
+        this.addDirectChat(message.chatId, message.peerId);
+        this.safeLog(`💬 ${message.peerId.slice(-8)} started a direct chat with you (msg ${message.peerId.slice(-8)})`, chalk.yellow);
+        if (this.cliInterface) this.cliInterface.rl.prompt();
+        break;
+
       case 'user_joined':
         const chatName = this.chats.get(message.chatId)?.name || 'Unknown Chat';
+        this.addChatParticipant(message.chatId, message.nodeId);
+        this.rotateSenderKey(message.chatId);
         this.safeLog(`${message.nodeId.slice(-8)} joined chat: ${chatName}`, chalk.green);
         if (this.cliInterface) this.cliInterface.rl.prompt();
         break;
 
+      case 'user_left':
+        this.removeChatParticipant(message.chatId, message.nodeId);
+        this.rotateSenderKey(message.chatId);
+        // It may come back restarted under the same nodeId; start over with it then
+        if (!this.sharesChatWith(message.nodeId)) {
+          this.forgetPeer(message.nodeId);
+        }
+        break;
+
       case 'encrypted_message':
-        this.handleEncryptedMessage(message);
+        this.runInPeerOrder(message.fromNodeId, () => this.handleEncryptedMessage(message));
+        break;
+
+      case 'sealed_message':
+        this.runInPeerOrder(message.fromNodeId, () => this.handleSealedMessage(message));
+        break;
+
+      case 'direct_message':
+        this.runInPeerOrder(message.fromNodeId, () => this.handleDirectMessage(message));
+        break;
+
+      case 'sender_key':
+        this.runInPeerOrder(message.fromNodeId, () => this.handleSenderKey(message));
+        break;
+
+      case 'delivery_ack':
+        this.handleDeliveryAck(message);
+        break;
+
+      case 'read_receipt':
+        this.handleReadReceipt(message);
+        break;
+
+      case 'message_edited':
+        this.runInPeerOrder(message.fromNodeId, () => this.handleMessageEdited(message));
+        break;
+
+      case 'message_deleted':
+        this.handleMessageDeleted(message);
+        break;
+
+      case 'reaction':
+        this.handleReaction(message);
+        break;
+
+      case 'typing':
+        if (this.messageHandlers.has('typing')) {
+          this.messageHandlers.get('typing')(message.fromNodeId, message.chatId);
+        }
         break;
 
       case 'key_exchange_request':
@@ -908,13 +2085,6 @@ export class UnifiedNode {
         break;
 
       case 'chat_list':
-        // Resolve chat list promise if waiting
-        if (this.chatListResolver) {
-          clearTimeout(this.chatListTimeout);
-          this.chatListResolver();
-          this.chatListResolver = null;
-        }
-        
         this.handleChatList(message.chats);
         break;
 
@@ -936,7 +2106,7 @@ export class UnifiedNode {
       case 'secure_message':
         // Decrypt and handle encrypted message
         const decryptedMessage = this.decryptSecureMessage(message);
-        if (decryptedMessage) {
+        if (decryptedMessage && this.checkHostMessage(decryptedMessage)) {
           this.handleClientMessage(decryptedMessage);
         }
         break;
@@ -979,269 +2149,1019 @@ export class UnifiedNode {
       // In host mode, handle messages directly
       await this.handleHostMessage(null, message);
     } else if (this.coordinatorWs && this.coordinatorWs.readyState === WebSocket.OPEN) {
-      this.coordinatorWs.send(JSON.stringify(message));
+      // Once the host link is up everything travels inside it
+      const outgoing = this.encryptMessageForNode(message, 'host');
+      this.coordinatorWs.send(JSON.stringify(outgoing.data));
     }
   }
 
-  checkPasswordRequirement() {
-    return new Promise((resolve, reject) => {
-      // Set up a one-time listener for password response
-      this.passwordResolver = resolve;
-      this.passwordTimeout = setTimeout(() => {
-        this.passwordResolver = null;
-        reject(new Error('Password check timeout'));
-      }, 10000);
-      
-      this.send({
-        type: 'password_challenge',
-        nodeId: this.nodeId
-      });
-    });
+  // Messages from the host are held to the same schemas; anything that does not
+  // fit is dropped before a handler sees it
+  checkHostMessage(message) {
+    const error = validateMessage(CLIENT_MESSAGE_SCHEMAS, message);
+    if (!error) return true;
+
+    this.safeLog(`Dropped message from host: ${error.message}`, chalk.yellow);
+    return false;
   }
 
-  handlePasswordChallenge(message) {
-    if (this.cliInterface) {
-      // Use CLI interface for password input
-      this.cliInterface.promptForPassword(message, (password) => {
-        this.submitPassword(password);
-      });
-    } else {
+  // Send a request to the host and wait for the response with the same
+  // requestId. In host mode the request is handled locally and resolves to null.
+  async request(message, options = {}) {
+    if (this.mode === NODE_MODES.HOST) {
+      await this.handleHostMessage(null, message);
+      return null;
+    }
+    if (!this.coordinatorWs || this.coordinatorWs.readyState !== WebSocket.OPEN) {
+      throw new RpcError(ERROR_CODES.NOT_CONNECTED, `Not connected to a host (${message.type})`);
+    }
+    return this.rpc.request(message, options);
+  }
+
+  // Advertise our protocol versions and capabilities; the host answers with its
+  // own, or with an error when the two cannot talk to each other
+  async exchangeHello() {
+    const hello = createHello();
+    let response;
+    try {
+      response = await this.request(hello);
+    } catch (error) {
+      if (error.code === ERROR_CODES.TIMEOUT) {
+        throw new Error('Host did not answer the protocol handshake (is it running an older MELQ?)');
+      }
+      throw error;
+    }
+
+    const result = negotiate(response, hello.capabilities);
+    if (result.error) {
+      throw new RpcError(result.error.code, result.error.message);
+    }
+
+    this.hostProtocol = { ...result, digest: helloDigest(hello, response) };
+
+    // Fall back to host-side encryption when the host cannot relay sealed messages
+    this.encryptionMode = this.hasCapability(CAPABILITIES.E2E) ? ENCRYPTION_MODES.E2E : ENCRYPTION_MODES.HOST;
+    return this.hostProtocol;
+  }
+
+  // Whether a feature was agreed with the host
+  hasCapability(capability) {
+    return !!this.hostProtocol && this.hostProtocol.capabilities.includes(capability);
+  }
+
+  // Errors that do not answer a request of ours
+  handleHostError(message) {
+    this.safeLog(`❌ Host error: ${message.message}${message.code ? ` (${message.code})` : ''}`, chalk.red);
+  }
+
+  // Ask the host to sign a fresh nonce with its identity key, compare that key
+  // with the pin from the connection code, then encapsulate a link key to the
+  // ML-KEM key it signed. A relay in the middle can forward the proof but can
+  // never learn the link key.
+  async establishHostLink(pinnedFingerprint) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    let hostKey;
+    try {
+      hostKey = await this.request({ type: 'host_key_request', nodeId: this.nodeId, nonce });
+    } catch (error) {
+      if (error.code === ERROR_CODES.TIMEOUT) {
+        throw new Error('Host did not present its identity key (is it running an older MELQ?)');
+      }
+      throw error;
+    }
+
+    const { link, linkKey } = await this.verifyHostKey(hostKey, nonce, pinnedFingerprint);
+    await this.request(linkKey);
+
+    this.hostLink = link;
+    this.linkSequences.delete(link.nodeId);
+    return link;
+  }
+
+  async verifyHostKey(message, nonce, pinnedFingerprint) {
+    const signedFields = ['host-key', nonce, message.hostNodeId, message.publicKey, this.hostProtocol.digest];
+    if (!this.verifyPeerSignature(message.hostNodeId, message.signingKey, message.signature, ...signedFields)) {
+      throw new Error('Host presented an invalid identity signature. Someone may be intercepting this connection.');
+    }
+
+    const fingerprint = hostKeyFingerprint(message.signingKey);
+    if (pinnedFingerprint && fingerprint !== pinnedFingerprint) {
+      throw new Error(`Host key mismatch! The connection code pins ${pinnedFingerprint} but the host presented ${fingerprint}. Someone may be intercepting this connection.`);
+    }
+
+    if (!pinnedFingerprint) {
+      this.safeLog(`⚠️  Connection code has no host key pin; cannot detect interception. Host key: ${fingerprint}`, chalk.yellow);
+    }
+
+    // Hybrid when both sides support it, and then the host must offer a signed X25519 key
+    const hybrid = this.hasCapability(CAPABILITIES.HYBRID_KEM);
+    const x25519Key = hybrid ? this.getVerifiedX25519Key({ ...message, nodeId: message.hostNodeId }) : null;
+    const { mode, ciphertext, x25519Ciphertext, sharedSecret } = await this.kem.encapsulate(message.publicKey, x25519Key, { requireHybrid: hybrid });
+    const salt = transcriptSalt('host-link', this.nodeId, message.hostNodeId, message.publicKey, ciphertext,
+      ...this.getKeyExchangeFields(mode, x25519Ciphertext));
+
+    return {
+      link: {
+        nodeId: message.hostNodeId,
+        signingKey: message.signingKey,
+        keys: deriveSessionKeys(sharedSecret, salt, this.nodeId, message.hostNodeId),
+        kem: mode,
+        fingerprint,
+        pinned: !!pinnedFingerprint
+      },
+      linkKey: {
+        type: 'link_key',
+        nodeId: this.nodeId,
+        kem: mode,
+        ciphertext,
+        x25519Ciphertext,
+        signingKey: this.identity.publicKey,
+        signature: this.signFields('link-key', this.nodeId, message.hostNodeId, ciphertext, this.hostProtocol.digest)
+      }
+    };
+  }
+
+  // Session keys for a node: the host link on clients, per-peer sessions otherwise
+  getLinkKeys(nodeId) {
+    if (this.hostLink && (nodeId === 'host' || nodeId === this.hostLink.nodeId)) {
+      return this.hostLink.keys;
+    }
+    return this.sessionKeys.get(nodeId);
+  }
+
+  async checkPasswordRequirement(options = {}) {
+    const challenge = await this.request({ type: 'password_challenge', nodeId: this.nodeId }, options);
+    if (!challenge || challenge.type === 'password_not_required') return;
+
+    // No timeout while the user is typing
+    const password = await this.askForPassword(challenge);
+    await this.submitPassword(password, challenge, options);
+  }
+
+  askForPassword(challenge) {
+    if (this.joinPassword) {
+      return Promise.resolve(this.joinPassword);
+    }
+
+    return new Promise(resolve => {
+      if (this.cliInterface) {
+        // Use CLI interface for password input
+        this.cliInterface.promptForPassword(challenge.message, resolve);
+        return;
+      }
+
       // Fallback to console input
       const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout
       });
-      
-      rl.question(`${message}\nEnter password: `, (password) => {
+
+      rl.question(`${challenge.message}\nEnter password: `, (password) => {
         rl.close();
-        this.submitPassword(password);
+        resolve(password);
       });
+    });
+  }
+
+  // Answer the host's SRP challenge. Only a zero-knowledge proof leaves this
+  // node; the password itself is never sent in any form. The host then proves
+  // it knew the password too, and both sides rekey the link.
+  async submitPassword(password, challenge, options = {}) {
+    const session = this.srp.respondToChallenge(
+      password,
+      challenge.salt,
+      challenge.serverPublic,
+      [this.nodeId, this.hostLink.nodeId]
+    );
+
+    const accepted = await this.request({
+      type: 'password_attempt',
+      nodeId: this.nodeId,
+      clientPublic: session.A,
+      clientProof: session.M1
+    }, options);
+
+    if (!this.srp.proofsMatch(session.expectedM2, accepted.serverProof)) {
+      this.safeLog('❌ Host could not prove it knows the session password. Disconnecting.', chalk.red);
+      this.coordinatorWs.close(1000, 'pake_failed');
+      throw new RpcError(ERROR_CODES.AUTH_FAILED, 'Host failed password verification');
+    }
+
+    const { secret, salt } = this.hostLink.keys;
+    const boundSecret = this.srp.bindLinkSecret(secret, session.sessionKey);
+    this.hostLink.keys = deriveSessionKeys(boundSecret, salt, this.nodeId, this.hostLink.nodeId);
+  }
+
+  async register(options = {}) {
+    await this.request({
+      type: 'register',
+      nodeId: this.nodeId,
+      publicKey: this.keyPair.publicKey,
+      signingKey: this.identity.publicKey,
+      keySignature: this.signFields('kem-key', this.nodeId, this.keyPair.publicKey),
+      ...(this.hasCapability(CAPABILITIES.HYBRID_KEM) ? this.getX25519KeyFields() : {}),
+      address: `direct://${this.nodeId}`
+    }, options);
+
+    this.safeLog(`Registered in network as ${this.nodeId}`, chalk.green);
+    if (this.cliInterface) this.cliInterface.rl.prompt();
+  }
+
+  // Helper method to check if node is authenticated for password-protected sessions
+  isNodeAuthenticated(nodeId) {
+    // If no password is set, everyone is authenticated
+    if (!this.sessionVerifier) return true;
+    // Check if node has been authenticated
+    return this.authenticatedNodes.has(nodeId);
+  }
+
+  // List of message types that should NOT be encrypted (host link handshake).
+  // Everything else is encrypted as soon as a link key exists.
+  getUnencryptedMessageTypes() {
+    return new Set([
+      'hello',
+      'error',
+      'host_key_request',
+      'host_key',
+      'link_key',
+      'link_established',
+      'ping',
+      'pong'
+    ]);
+  }
+
+  // Resolve the 'host' alias to the host's node ID
+  resolveLinkPeer(nodeId) {
+    if (this.hostLink && nodeId === 'host') return this.hostLink.nodeId;
+    return nodeId;
+  }
+
+  getLinkSequenceState(nodeId) {
+    let state = this.linkSequences.get(nodeId);
+    if (!state) {
+      state = { sent: 0, highest: 0, seen: new Set() };
+      this.linkSequences.set(nodeId, state);
+    }
+    return state;
+  }
+
+  // Everything that identifies a frame is authenticated along with it, so a
+  // captured frame cannot be replayed, reordered into another slot, redirected
+  // to someone else or passed off as a different message type or chat.
+  getSecureMessageAAD(fromNodeId, toNodeId, seq, messageType, chatId) {
+    return signaturePayload('secure_message', fromNodeId, toNodeId, seq, messageType, chatId || null);
+  }
+
+  // Accept each sequence number once, and only within REPLAY_WINDOW of the newest
+  acceptSequence(nodeId, seq) {
+    if (!Number.isSafeInteger(seq) || seq < 1) return 'invalid sequence number';
+
+    const state = this.getLinkSequenceState(nodeId);
+    if (seq <= state.highest - REPLAY_WINDOW) return 'outside the replay window';
+    if (state.seen.has(seq)) return 'duplicate sequence number';
+
+    state.seen.add(seq);
+    if (seq > state.highest) {
+      state.highest = seq;
+      for (const old of state.seen) {
+        if (old <= state.highest - REPLAY_WINDOW) state.seen.delete(old);
+      }
     }
+    return null;
+  }
+
+  reportReplayAttempt(message, reason) {
+    this.replayAttempts++;
+    const from = message.fromNodeId ? message.fromNodeId.slice(-8) : 'unknown';
+    this.safeLog(`⚠️  Rejected secure_message from ${from} (seq ${message.seq}, ${message.messageType}): ${reason}. Possible replay attack.`, this.mode === NODE_MODES.HOST ? chalk.bgYellow.black : chalk.yellow);
   }
 
-  // Encrypt password using host's public key (asymmetric encryption for initial auth)
-  async encryptPasswordForHost(password, hostPublicKey) {
+  // Encrypt any message for transmission to a specific node
+  encryptMessageForNode(message, targetNodeId) {
+    const keys = this.getLinkKeys(targetNodeId);
+
+    // Don't encrypt handshake messages or if no shared key exists
+    if (!keys || this.getUnencryptedMessageTypes().has(message.type)) {
+      return { encrypted: false, data: message };
+    }
+
+    const peerId = this.resolveLinkPeer(targetNodeId);
+    const seq = ++this.getLinkSequenceState(peerId).sent;
+    const aad = this.getSecureMessageAAD(this.nodeId, peerId, seq, message.type, message.chatId);
+
+    const encryptedData = this.aesCrypto.encrypt(JSON.stringify(message), keys.sendKey, aad);
+
+    return {
+      encrypted: true,
+      data: {
+        type: 'secure_message',
+        fromNodeId: this.nodeId,
+        toNodeId: peerId,
+        seq,
+        messageType: message.type,
+        chatId: message.chatId || null,
+        encryptedData: encryptedData
+      }
+    };
+  }
+
+  // Decrypt a received secure message
+  decryptSecureMessage(message) {
+    const keys = this.getLinkKeys(message.fromNodeId);
+    if (!keys) {
+      this.safeLog(`Received encrypted message from unknown node: ${message.fromNodeId}`, chalk.red);
+      return null;
+    }
+
+    let decrypted;
     try {
-      // Use ML-KEM to encrypt the password with host's public key
-      const { ciphertext } = await this.mlkem.encapsulate(hostPublicKey);
-      // Use the shared secret to encrypt the password
-      const tempSecret = Buffer.from(ciphertext).toString('base64');
-      const encryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(tempSecret);
-      const encryptedPassword = this.aesCrypto.encrypt(password, encryptionKey);
-      
-      return {
-        ciphertext: ciphertext,
-        encryptedPassword: encryptedPassword
-      };
+      // The AAD uses our own node ID, so frames addressed to someone else fail here
+      const aad = this.getSecureMessageAAD(message.fromNodeId, this.nodeId, message.seq, message.messageType, message.chatId);
+      decrypted = JSON.parse(this.aesCrypto.decrypt(message.encryptedData, keys.receiveKey, aad));
     } catch (error) {
-      this.safeLog(`Password encryption failed: ${error.message}`, chalk.red);
-      // Fallback to plaintext (not ideal but maintains functionality)
-      return { password: password };
+      this.safeLog(`Failed to decrypt message from ${message.fromNodeId.slice(-8)}: ${error.message}`, chalk.red);
+      return null;
     }
+
+    if (decrypted.type !== message.messageType || (decrypted.chatId || null) !== (message.chatId || null)) {
+      this.reportReplayAttempt(message, 'header does not match the payload');
+      return null;
+    }
+
+    // Only authentic frames may advance the window
+    const rejection = this.acceptSequence(message.fromNodeId, message.seq);
+    if (rejection) {
+      this.reportReplayAttempt(message, rejection);
+      return null;
+    }
+
+    return decrypted;
   }
 
-  async submitPassword(password) {
-    try {
-      // Try to encrypt password using ML-KEM with host's public key
-      const hostNode = this.connectedNodes.get('host') || Array.from(this.connectedNodes.values())[0];
-      
-      if (hostNode && hostNode.publicKey) {
-        const encryptedPasswordData = await this.encryptPasswordForHost(password, hostNode.publicKey);
-        
-        if (encryptedPasswordData.ciphertext) {
-          // Successfully encrypted with ML-KEM
-          this.send({
-            type: 'password_attempt',
-            nodeId: this.nodeId,
-            encryptedPassword: encryptedPasswordData.encryptedPassword,
-            ciphertext: encryptedPasswordData.ciphertext
-          });
-          return;
-        }
+  async discoverNodes(options = {}) {
+    const response = await this.request({ type: 'discover_nodes', nodeId: this.nodeId }, options);
+    if (!response) return [];
+
+    await this.handleNodeList(response.nodes);
+    return response.nodes;
+  }
+
+  createChat(chatName) {
+    this.send({
+      type: 'create_chat',
+      nodeId: this.nodeId,
+      chatName
+    });
+  }
+
+  async getChats(options = {}) {
+    const response = await this.request({ type: 'get_chats', nodeId: this.nodeId }, options);
+    if (!response) return Array.from(this.chats.values());
+
+    this.handleChatList(response.chats);
+    return response.chats;
+  }
+
+  joinChat(chatId) {
+    this.send({
+      type: 'join_chat',
+      nodeId: this.nodeId,
+      chatId: chatId
+    });
+  }
+
+  // A page of host history from just before message `before` (the newest page
+  // without it), as CLI messages. Entries we cannot read or verify are left
+  // out, so pass the returned cursor rather than our oldest message next time.
+  // Direct chats, which the host keeps no history of, and hosts that cannot
+  // page history get the messages we kept ourselves instead.
+  async fetchHistory(chatId, { before = null, limit = HISTORY_PAGE_SIZE } = {}) {
+    if (this.chats.get(chatId)?.direct || !this.hasCapability(CAPABILITIES.HISTORY_PAGES)) {
+      return this.getReadMessages(chatId, { before, limit });
+    }
+
+    const response = await this.request({
+      type: 'get_history',
+      nodeId: this.nodeId,
+      chatId,
+      ...(before ? { before } : {}),
+      limit
+    });
+
+    const messages = response.messages
+      .map(msg => this.readHistoryEntry({ ...msg, chatId }))
+      .filter(Boolean);
+    return { messages, hasMore: response.hasMore, cursor: response.cursor || null };
+  }
+
+  // History matching a search (see matchesSearch), newest first, from one
+  // chat or, without chatId, every chat we are in. The host searches
+  // host-encrypted chats; in E2E mode the query never leaves this device and
+  // runs over the messages we kept (searchedHost is false). Each hit carries
+  // its chatId.
+  async searchHistory(chatId, filters, { limit = SEARCH_RESULT_LIMIT } = {}) {
+    if (this.encryptionMode === ENCRYPTION_MODES.HOST) {
+      if (!this.hasCapability(CAPABILITIES.HISTORY_SEARCH)) {
+        throw new Error('The host does not support searching history');
       }
-      
-      // Fallback to plaintext (will be encrypted at transport layer if key exists)
-      this.send({
-        type: 'password_attempt',
+
+      const { query, fromNodeId, since, until } = filters;
+      const response = await this.request({
+        type: 'search_history',
         nodeId: this.nodeId,
-        password: password
+        ...(chatId ? { chatId } : {}),
+        ...(query ? { query } : {}),
+        ...(fromNodeId ? { fromNodeId } : {}),
+        ...(since ? { since } : {}),
+        ...(until ? { until } : {}),
+        limit
       });
-    } catch (error) {
-      this.safeLog(`Password encryption failed: ${error.message}`, chalk.red);
-      // Fallback to plaintext
-      this.send({
-        type: 'password_attempt',
-        nodeId: this.nodeId,
-        password: password
+
+      // The host's word is not taken for what matched
+      const messages = [];
+      for (const msg of response.messages) {
+        const entry = this.readHistoryEntry(msg);
+        if (entry && matchesSearch(entry, filters)) messages.push({ ...entry, chatId: msg.chatId });
+      }
+      return { messages, hasMore: response.hasMore, searchedHost: true };
+    }
+
+    const messages = [];
+    for (const [id, kept] of this.readMessages) {
+      if (chatId && id !== chatId) continue;
+      for (const known of kept.values()) {
+        const entry = this.toChatMessage(known);
+        if (matchesSearch(entry, filters)) messages.push({ ...entry, chatId: id });
+      }
+    }
+    messages.sort((a, b) => b.timestamp - a.timestamp);
+    return { messages: messages.slice(0, limit), hasMore: messages.length > limit, searchedHost: false };
+  }
+
+  // Open the direct chat with one peer, or find the one already open
+  async openDirectChat(peerId, options = {}) {
+    if (!this.hasCapability(CAPABILITIES.DIRECT_MESSAGES)) {
+      throw new Error('The host does not support direct messages');
+    }
+
+    const response = await this.request({ type: 'open_direct_chat', nodeId: this.nodeId, peerId }, options);
+    if (response.chatId !== directChatId(this.nodeId, peerId)) {
+      throw new Error('Host answered with a different direct chat');
+    }
+    return this.addDirectChat(response.chatId, peerId);
+  }
+
+  addDirectChat(chatId, peerId) {
+    if (!this.chats.has(chatId)) {
+      this.chats.set(chatId, {
+        id: chatId,
+        name: `@${peerId.slice(-8)}`,
+        participants: [this.nodeId, peerId],
+        direct: true,
+        peerId
       });
     }
+    return this.chats.get(chatId);
+  }
+
+  // Returns the new message's ID, or false when nobody in the chat could
+  // receive it. With a host that acks, delivery is tracked and retried.
+  // `replyTo` makes it a reply to an earlier message in the chat.
+  sendChatMessage(chatId, messageText, { replyTo } = {}) {
+    const payload = this.signChatPayload({
+      chatId,
+      messageId: crypto.randomBytes(16).toString('hex'),
+      ...(replyTo ? { replyTo } : {}),
+      text: messageText,
+      timestamp: Date.now(),
+      fromNodeId: this.nodeId
+    });
+
+    // A direct message may wait a little for the key exchange with the peer
+    const message = this.buildChatMessage(payload);
+    if (!message && !this.chats.get(chatId)?.direct) return false;
+    this.rememberMessage(payload);
+
+    if (!this.hasCapability(CAPABILITIES.DELIVERY_ACKS)) {
+      if (!message) return false;
+      this.send(message);
+      return payload.messageId;
+    }
+
+    this.trackDelivery(payload);
+    this.sendTrackedMessage(payload.messageId, message);
+    return payload.messageId;
+  }
+
+  // The send_chat_message for a signed payload; E2E payloads are sealed again
+  // for every attempt. Null when no other member holds our sender key yet.
+  buildChatMessage(payload) {
+    const chat = this.chats.get(payload.chatId);
+    if (chat?.direct) {
+      return this.buildDirectMessage(chat, payload);
+    }
+
+    const message = {
+      type: 'send_chat_message',
+      nodeId: this.nodeId,
+      chatId: payload.chatId,
+      messageId: payload.messageId,
+      ...(payload.replyTo ? { replyTo: payload.replyTo } : {}),
+      timestamp: payload.timestamp
+    };
+
+    if (this.encryptionMode !== ENCRYPTION_MODES.E2E) {
+      return { ...message, messageText: payload.text, signature: payload.signature };
+    }
+
+    const sealed = this.sealChatPayload(payload.chatId, payload);
+    return sealed ? { ...message, sealed } : null;
+  }
+
+  // Direct chats skip sender keys: the payload is encrypted under the pairwise
+  // ratchet with the other member. Null until that key is confirmed.
+  buildDirectMessage(chat, payload) {
+    const ratchet = this.peerKeys.get(chat.peerId);
+    if (!ratchet || this.unconfirmedPeers.has(chat.peerId)) return null;
+
+    const { header, encryptedData } = ratchet.encrypt(JSON.stringify(payload));
+    return {
+      type: 'send_direct_message',
+      nodeId: this.nodeId,
+      chatId: payload.chatId,
+      messageId: payload.messageId,
+      ratchet: header,
+      encryptedData,
+      timestamp: payload.timestamp
+    };
+  }
+
+  trackDelivery(payload) {
+    this.deliveries.set(payload.messageId, {
+      chatId: payload.chatId,
+      payload,
+      status: DELIVERY_STATUS.SENDING,
+      recipients: 0,
+      deliveredTo: new Set(),
+      readBy: new Set(),
+      attempts: 0,
+      retryTimer: null
+    });
+
+    // Forget the oldest settled messages; the chat view only keeps so many
+    for (const [messageId, delivery] of this.deliveries) {
+      if (this.deliveries.size <= DELIVERY_TRACKING_LIMIT) break;
+      if (delivery.status !== DELIVERY_STATUS.SENDING) this.deliveries.delete(messageId);
+    }
+  }
+
+  // Send and wait for the host's message_accepted; resend with the same
+  // message ID when it does not come, since the host drops duplicates
+  sendTrackedMessage(messageId, message = null) {
+    const delivery = this.deliveries.get(messageId);
+    if (!delivery || delivery.status !== DELIVERY_STATUS.SENDING) return;
+
+    delivery.retryTimer = null;
+    delivery.attempts++;
+    message = message || this.buildChatMessage(delivery.payload);
+    if (!message) {
+      const chat = this.chats.get(delivery.chatId);
+      if (!chat?.direct) {
+        this.failDelivery(messageId, delivery, 'no chat member holds our sender key');
+      } else if (delivery.attempts >= CHAT_SEND_ATTEMPTS) {
+        this.failDelivery(messageId, delivery, `no key exchange with ${chat.peerId.slice(-8)} yet`);
+      } else {
+        delivery.retryTimer = setTimeout(() => this.sendTrackedMessage(messageId), CHAT_RETRY_DELAY * delivery.attempts);
+      }
+      return;
+    }
+
+    this.request(message, { timeout: CHAT_ACK_TIMEOUT }).then(response => {
+      delivery.status = DELIVERY_STATUS.ACCEPTED;
+      delivery.recipients = Math.max(response ? response.recipients : 0, delivery.deliveredTo.size);
+      delivery.payload = null;
+      this.notifyDelivery(messageId, delivery);
+    }, error => {
+      if (delivery.status !== DELIVERY_STATUS.SENDING) return;
+      if (error.code === ERROR_CODES.ACCESS_DENIED || delivery.attempts >= CHAT_SEND_ATTEMPTS) {
+        this.failDelivery(messageId, delivery, error.message);
+        return;
+      }
+      delivery.retryTimer = setTimeout(() => this.sendTrackedMessage(messageId), CHAT_RETRY_DELAY * delivery.attempts);
+      this.notifyDelivery(messageId, delivery);
+    });
+  }
+
+  failDelivery(messageId, delivery, reason) {
+    delivery.status = DELIVERY_STATUS.FAILED;
+    this.safeLog(`Message not delivered after ${delivery.attempts} attempt(s): ${reason}`, chalk.red);
+    this.notifyDelivery(messageId, delivery);
+  }
+
+  // Start over with a message that failed; returns false if there is none
+  retryChatMessage(messageId) {
+    const delivery = this.deliveries.get(messageId);
+    if (!delivery || delivery.status !== DELIVERY_STATUS.FAILED) return false;
+
+    delivery.status = DELIVERY_STATUS.SENDING;
+    delivery.attempts = 0;
+    this.notifyDelivery(messageId, delivery);
+    this.sendTrackedMessage(messageId);
+    return true;
+  }
+
+  getDeliveryStatus(messageId) {
+    const delivery = this.deliveries.get(messageId);
+    if (!delivery) return null;
+
+    return {
+      status: delivery.status,
+      attempts: delivery.attempts,
+      recipients: delivery.recipients,
+      delivered: delivery.deliveredTo.size,
+      readBy: Array.from(delivery.readBy)
+    };
+  }
+
+  notifyDelivery(messageId, delivery) {
+    if (this.messageHandlers.has('delivery')) {
+      this.messageHandlers.get('delivery')(messageId, delivery.chatId);
+    }
+  }
+
+  // A recipient opened one of our messages
+  handleDeliveryAck(message) {
+    const delivery = this.deliveries.get(message.messageId);
+    if (!delivery || delivery.chatId !== message.chatId) return;
+
+    const signingKey = this.peerIdentities.get(message.fromNodeId);
+    if (!this.verifyPeerSignature(message.fromNodeId, signingKey, message.signature,
+      'delivery-ack', message.chatId, message.messageId, message.fromNodeId, this.nodeId)) {
+      this.safeLog(`⚠️  Dropped delivery ack with invalid signature claiming to be from ${message.fromNodeId.slice(-8)}`, chalk.red);
+      return;
+    }
+
+    this.markDelivered(delivery, message.fromNodeId);
+    this.notifyDelivery(message.messageId, delivery);
+  }
+
+  markDelivered(delivery, nodeId) {
+    // The host may have taken it even if its own ack got lost on the way
+    if (delivery.status !== DELIVERY_STATUS.ACCEPTED) {
+      clearTimeout(delivery.retryTimer);
+      delivery.status = DELIVERY_STATUS.ACCEPTED;
+      delivery.payload = null;
+    }
+    delivery.deliveredTo.add(nodeId);
+    delivery.recipients = Math.max(delivery.recipients, delivery.deliveredTo.size);
+  }
+
+  // Someone displayed messages of ours. Receipts only come from members who
+  // turned them on; a receipt also counts as a delivery ack.
+  handleReadReceipt(message) {
+    const signingKey = this.peerIdentities.get(message.fromNodeId);
+    if (!this.verifyPeerSignature(message.fromNodeId, signingKey, message.signature,
+      'read-receipt', message.chatId, message.fromNodeId, this.nodeId, ...message.messageIds)) {
+      this.safeLog(`⚠️  Dropped read receipt with invalid signature claiming to be from ${message.fromNodeId.slice(-8)}`, chalk.red);
+      return;
+    }
+
+    for (const messageId of message.messageIds) {
+      const delivery = this.deliveries.get(messageId);
+      if (!delivery || delivery.chatId !== message.chatId || delivery.readBy.has(message.fromNodeId)) continue;
+
+      delivery.readBy.add(message.fromNodeId);
+      this.markDelivered(delivery, message.fromNodeId);
+      this.notifyDelivery(messageId, delivery);
+    }
+  }
+
+  // Tell the senders of these messages that we have seen them, one signed
+  // receipt per sender. Each entry needs { fromNodeId, messageId }.
+  sendReadReceipts(chatId, messages) {
+    if (!this.hasCapability(CAPABILITIES.READ_RECEIPTS)) return;
+
+    const bySender = new Map();
+    for (const { fromNodeId, messageId } of messages) {
+      if (!fromNodeId || !messageId || fromNodeId === this.nodeId) continue;
+      if (!bySender.has(fromNodeId)) bySender.set(fromNodeId, []);
+      bySender.get(fromNodeId).push(messageId);
+    }
+
+    for (const [senderId, messageIds] of bySender) {
+      for (let i = 0; i < messageIds.length; i += LIMITS.RECEIPT) {
+        const batch = messageIds.slice(i, i + LIMITS.RECEIPT);
+        this.send({
+          type: 'read_receipt',
+          nodeId: this.nodeId,
+          chatId,
+          senderId,
+          messageIds: batch,
+          signature: this.signFields('read-receipt', chatId, this.nodeId, senderId, ...batch)
+        });
+      }
+    }
+  }
+
+  // Let the chat know we are typing, at most once per TYPING_NOTICE_INTERVAL.
+  // Typing notices are unsigned: they expire within seconds and say nothing
+  // beyond presence.
+  sendTypingNotice(chatId) {
+    if (!this.hasCapability(CAPABILITIES.TYPING)) return;
+
+    const now = Date.now();
+    if (now - (this.typingSent.get(chatId) || 0) < TYPING_NOTICE_INTERVAL) return;
+    this.typingSent.set(chatId, now);
+
+    this.send({ type: 'typing', nodeId: this.nodeId, chatId });
+  }
+
+  // Replace the text of one of our messages. The edit is signed and, in E2E
+  // chats, sealed like a new message; the host swaps it in for the original.
+  async editChatMessage(chatId, messageId, text) {
+    if (!this.hasCapability(CAPABILITIES.MESSAGE_EDITS)) {
+      throw new Error('The host does not support editing messages');
+    }
+    // The host keeps no copy of direct messages to update
+    if (this.chats.get(chatId)?.direct) {
+      throw new Error('Direct messages cannot be edited');
+    }
+
+    const payload = this.signChatPayload({
+      chatId,
+      messageId,
+      text,
+      timestamp: Date.now(),
+      edited: true,
+      fromNodeId: this.nodeId
+    });
+    const message = {
+      type: 'edit_chat_message',
+      nodeId: this.nodeId,
+      chatId,
+      messageId,
+      editedAt: payload.timestamp
+    };
+
+    if (this.encryptionMode === ENCRYPTION_MODES.E2E) {
+      message.sealed = this.sealChatPayload(chatId, payload);
+      if (!message.sealed) {
+        throw new Error('Nobody in this chat can receive the edit yet');
+      }
+    } else {
+      message.messageText = text;
+      message.signature = payload.signature;
+    }
+
+    await this.request(message);
+    if (message.sealed) this.rememberMessage(payload);
   }
 
-  attemptRegistration(authenticated = false) {
-    // Resolve password challenge if waiting
-    if (this.passwordResolver) {
-      clearTimeout(this.passwordTimeout);
-      this.passwordResolver();
-      this.passwordResolver = null;
+  // Delete one of our messages; the host keeps only a signed tombstone
+  async deleteChatMessage(chatId, messageId) {
+    if (!this.hasCapability(CAPABILITIES.MESSAGE_EDITS)) {
+      throw new Error('The host does not support deleting messages');
+    }
+    if (this.chats.get(chatId)?.direct) {
+      throw new Error('Direct messages cannot be deleted');
     }
 
-    // Now proceed with registration
-    return new Promise((resolve, reject) => {
-      // Set up a one-time listener for registration confirmation
-      this.registrationResolver = resolve;
-      this.registrationTimeout = setTimeout(() => {
-        this.registrationResolver = null;
-        reject(new Error('Registration timeout'));
-      }, 10000);
-      
-      this.send({
-        type: 'register',
-        nodeId: this.nodeId,
-        publicKey: this.keyPair.publicKey,
-        address: `direct://${this.nodeId}`,
-        authenticated: authenticated || this.isHostAutoClient
-      });
+    const deletedAt = Date.now();
+    await this.request({
+      type: 'delete_chat_message',
+      nodeId: this.nodeId,
+      chatId,
+      messageId,
+      deletedAt,
+      signature: this.signFields('chat-delete', chatId, this.nodeId, messageId, deletedAt)
     });
+    this.forgetMessage(chatId, messageId);
   }
 
-  handlePasswordRejection(message) {
-    this.safeLog(`❌ ${message}`, chalk.red);
-    
-    // Resolve password challenge with error
-    if (this.passwordResolver) {
-      clearTimeout(this.passwordTimeout);
-      this.passwordResolver = null;
-      throw new Error('Password authentication failed');
+  // Add or, with `remove`, take back a reaction to a message
+  async reactToMessage(chatId, messageId, emoji, { remove = false } = {}) {
+    if (!this.hasCapability(CAPABILITIES.REACTIONS)) {
+      throw new Error('The host does not support reactions');
     }
+    if (this.chats.get(chatId)?.direct) {
+      throw new Error('Direct messages do not take reactions');
+    }
+
+    const reactedAt = Date.now();
+    await this.request({
+      type: 'react_to_message',
+      nodeId: this.nodeId,
+      chatId,
+      messageId,
+      emoji,
+      removed: remove,
+      reactedAt,
+      signature: this.signFields('reaction', chatId, messageId, this.nodeId, emoji, remove ? 'remove' : 'add', reactedAt)
+    });
   }
 
-  // Helper method to check if node is authenticated for password-protected sessions
-  isNodeAuthenticated(nodeId) {
-    // If no password is set, everyone is authenticated
-    if (!this.sessionPassword) return true;
-    // Check if node has been authenticated
-    return this.authenticatedNodes.has(nodeId);
+  verifyReaction(chatId, messageId, reaction) {
+    const signingKey = this.identityKeyFor(reaction.nodeId);
+    return this.verifyPeerSignature(reaction.nodeId, signingKey, reaction.signature,
+      'reaction', chatId, messageId, reaction.nodeId, reaction.emoji, reaction.removed ? 'remove' : 'add', reaction.reactedAt);
   }
 
-  // List of message types that should NOT be encrypted (handshake/auth messages)
-  getUnencryptedMessageTypes() {
-    return new Set([
-      'register',
-      'registered', 
-      'password_challenge',
-      'password_attempt',
-      'password_required',
-      'password_not_required',
-      'password_accepted',
-      'password_rejected',
-      'key_exchange_request',
-      'key_exchange_response',
-      'peer_info',
-      'ping',
-      'pong',
-      'access_denied'
-    ]);
+  verifyImportedEntry(entry) {
+    if (!this.hostLink || !entry.signature) return false;
+    return this.mldsa.verify(signaturePayload(...this.getImportedEntryFields(entry)), entry.signature, this.hostLink.signingKey);
   }
 
-  // Encrypt any message for transmission to a specific node
-  encryptMessageForNode(message, targetNodeId) {
-    // Don't encrypt handshake/auth messages or if no shared key exists
-    if (!this.peerKeys.has(targetNodeId) || this.getUnencryptedMessageTypes().has(message.type)) {
-      return { encrypted: false, data: message };
-    }
+  verifyChatDeletion(entry) {
+    const signingKey = this.identityKeyFor(entry.fromNodeId);
+    return this.verifyPeerSignature(entry.fromNodeId, signingKey, entry.signature,
+      'chat-delete', entry.chatId, entry.fromNodeId, entry.messageId, entry.deletedAt);
+  }
 
-    const sharedSecret = this.peerKeys.get(targetNodeId);
-    const encryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
-    const encryptedData = this.aesCrypto.encrypt(JSON.stringify(message), encryptionKey);
+  // Tell the sender we decrypted and verified their message
+  acknowledgeDelivery(messageData) {
+    if (!messageData.messageId || !this.hasCapability(CAPABILITIES.DELIVERY_ACKS)) return;
 
-    return {
-      encrypted: true,
-      data: {
-        type: 'secure_message',
-        fromNodeId: this.nodeId,
-        encryptedData: encryptedData
-      }
-    };
+    this.send({
+      type: 'delivery_ack',
+      nodeId: this.nodeId,
+      chatId: messageData.chatId,
+      messageId: messageData.messageId,
+      senderId: messageData.fromNodeId,
+      signature: this.signFields('delivery-ack', messageData.chatId, messageData.messageId, this.nodeId, messageData.fromNodeId)
+    });
   }
 
-  // Decrypt a received secure message
-  decryptSecureMessage(message) {
-    if (!this.peerKeys.has(message.fromNodeId)) {
-      this.safeLog(`Received encrypted message from unknown node: ${message.fromNodeId}`, chalk.red);
+  // Encrypt a chat payload once under our current sender key for the chat.
+  // Returns null when no other member holds that key yet.
+  sealChatPayload(chatId, payload) {
+    const senderKey = this.getSenderKey(chatId);
+    if (senderKey.delivered.size === 0) {
       return null;
     }
 
+    // Every message gets the next key from the chain; the chain moves on
+    const { index, messageKey } = senderKey.chain.next();
+    senderKey.sent++;
+    const aad = signaturePayload('melq-sender-key', chatId, this.nodeId, senderKey.keyId, index);
+    const ciphertext = this.aesCrypto.encrypt(JSON.stringify(payload), messageKey, aad);
+    messageKey.fill(0);
+
+    return { keyId: senderKey.keyId, index, ciphertext };
+  }
+
+  // With `peek` the key is looked up without being used up, for history
+  openChatPayload(sealed, fromNodeId, chatId, { peek = false } = {}) {
+    const keys = this.receivedSenderKeys.get(`${chatId}:${fromNodeId}`);
+    const chain = keys && keys.get(sealed.keyId);
+    if (!chain) {
+      throw new Error(`no sender key ${sealed.keyId} from ${fromNodeId.slice(-8)}`);
+    }
+
+    const messageKey = peek ? chain.peekKeyFor(sealed.index) : chain.keyFor(sealed.index);
+    const aad = signaturePayload('melq-sender-key', chatId, fromNodeId, sealed.keyId, sealed.index);
+    let payload;
     try {
-      const sharedSecret = this.peerKeys.get(message.fromNodeId);
-      const decryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
-      const decryptedText = this.aesCrypto.decrypt(message.encryptedData, decryptionKey);
-      return JSON.parse(decryptedText);
-    } catch (error) {
-      this.safeLog(`Failed to decrypt message from ${message.fromNodeId.slice(-8)}: ${error.message}`, chalk.red);
-      return null;
+      payload = JSON.parse(this.aesCrypto.decrypt(sealed.ciphertext, messageKey, aad));
+    } finally {
+      messageKey.fill(0);
+    }
+
+    // The sender identity inside the envelope must match the routing metadata
+    if (payload.fromNodeId !== fromNodeId || payload.chatId !== chatId) {
+      throw new Error('sender mismatch in sealed payload');
     }
+
+    return payload;
   }
 
-  register() {
-    return this.attemptRegistration();
+  // Returns our sender key for a chat, generating and distributing a new one when
+  // there is none yet, membership changed since the last one was issued, or the
+  // current one has been used for SENDER_KEY_MAX_MESSAGES messages. The fresh
+  // key travels over the pairwise ratchets, which bring in new ML-KEM secrets.
+  getSenderKey(chatId) {
+    const current = this.senderKeys.get(chatId);
+    if (current && !current.stale && current.sent < SENDER_KEY_MAX_MESSAGES) {
+      return current;
+    }
+    if (current) {
+      current.chain.destroy();
+    }
+
+    const chat = this.chats.get(chatId);
+    const members = (chat?.participants || []).filter(nodeId => nodeId !== this.nodeId);
+
+    const senderKey = {
+      keyId: crypto.randomBytes(8).toString('hex'),
+      chain: new SymmetricRatchet(this.aesCrypto.generateKey()),
+      members: new Set(members),
+      delivered: new Set(),
+      stale: false,
+      sent: 0
+    };
+    this.senderKeys.set(chatId, senderKey);
+
+    for (const nodeId of members) {
+      this.distributeSenderKey(chatId, nodeId);
+    }
+
+    return senderKey;
   }
 
-  async discoverNodes() {
-    return new Promise((resolve, reject) => {
-      // Set up a one-time listener for node list response
-      this.discoveryResolver = resolve;
-      this.discoveryTimeout = setTimeout(() => {
-        this.discoveryResolver = null;
-        reject(new Error('Node discovery timeout'));
-      }, 5000);
-      
-      this.send({
-        type: 'discover_nodes',
-        nodeId: this.nodeId
-      });
-    });
+  // Membership changed: the next message is sent under a fresh key, so newcomers
+  // cannot read earlier traffic and departed members cannot read later traffic.
+  rotateSenderKey(chatId) {
+    const current = this.senderKeys.get(chatId);
+    if (current) {
+      current.stale = true;
+    }
   }
 
-  createChat(chatName) {
+  distributeSenderKey(chatId, nodeId) {
+    const senderKey = this.senderKeys.get(chatId);
+    const ratchet = this.peerKeys.get(nodeId);
+    // The peer must have decapsulated our ciphertext before it can read the key
+    if (!senderKey || !ratchet || this.unconfirmedPeers.has(nodeId)) {
+      return false;
+    }
+
+    // The current chain position, so the new member cannot read earlier messages
+    const { header, encryptedData } = ratchet.encrypt(JSON.stringify({
+      chatId,
+      keyId: senderKey.keyId,
+      ...senderKey.chain.export()
+    }));
+
     this.send({
-      type: 'create_chat',
-      nodeId: this.nodeId,
-      chatName
+      type: 'relay_message',
+      targetNodeId: nodeId,
+      fromNodeId: this.nodeId,
+      messageType: 'sender_key',
+      chatId,
+      ratchet: header,
+      encryptedData
     });
+
+    senderKey.delivered.add(nodeId);
+    return true;
   }
 
-  getChats() {
-    return new Promise((resolve, reject) => {
-      // Set up a one-time listener for chat list response
-      this.chatListResolver = resolve;
-      this.chatListTimeout = setTimeout(() => {
-        this.chatListResolver = null;
-        reject(new Error('Chat list timeout'));
-      }, 5000);
-      
-      this.send({
-        type: 'get_chats',
-        nodeId: this.nodeId
-      });
-    });
+  // A pairwise key just came up: hand over any current sender keys this node
+  // was meant to receive but could not at issue time.
+  deliverPendingSenderKeys(nodeId) {
+    for (const [chatId, senderKey] of this.senderKeys.entries()) {
+      if (!senderKey.stale && senderKey.members.has(nodeId) && !senderKey.delivered.has(nodeId)) {
+        this.distributeSenderKey(chatId, nodeId);
+      }
+    }
   }
 
-  joinChat(chatId) {
-    this.send({
-      type: 'join_chat',
-      nodeId: this.nodeId,
-      chatId: chatId
-    });
+  async handleSenderKey(message) {
+    try {
+      const ratchet = this.peerKeys.get(message.fromNodeId);
+      if (!ratchet) {
+        this.safeLog(`Received sender key from unknown node: ${message.fromNodeId}`, chalk.red);
+        return;
+      }
+
+      const { chatId, keyId, chainKey, index } = JSON.parse(await ratchet.decrypt(message.ratchet, message.encryptedData));
+
+      if (chatId !== message.chatId) {
+        this.safeLog(`Sender key chat mismatch from ${message.fromNodeId.slice(-8)}`, chalk.red);
+        return;
+      }
+
+      const slot = `${chatId}:${message.fromNodeId}`;
+      if (!this.receivedSenderKeys.has(slot)) {
+        this.receivedSenderKeys.set(slot, new Map());
+      }
+      const chains = this.receivedSenderKeys.get(slot);
+
+      // Keep the previous key for messages still in flight, wipe anything older
+      for (const oldKeyId of Array.from(chains.keys()).slice(0, -1)) {
+        chains.get(oldKeyId).destroy();
+        chains.delete(oldKeyId);
+      }
+      chains.set(keyId, new SymmetricRatchet(Buffer.from(chainKey, 'base64'), index));
+    } catch (error) {
+      this.safeLog(`Failed to accept sender key from ${message.fromNodeId.slice(-8)}: ${error.message}`, chalk.red);
+    }
   }
 
-  sendChatMessage(chatId, messageText) {
-    this.send({
-      type: 'send_chat_message',
-      nodeId: this.nodeId,
-      chatId: chatId,
-      messageText: messageText,
-      timestamp: Date.now()
-    });
+  addChatParticipant(chatId, nodeId) {
+    const chat = this.chats.get(chatId);
+    if (!chat) return;
+
+    chat.participants = chat.participants || [];
+    if (!chat.participants.includes(nodeId)) {
+      chat.participants.push(nodeId);
+    }
+  }
+
+  removeChatParticipant(chatId, nodeId) {
+    const chat = this.chats.get(chatId);
+    if (!chat || !chat.participants) return;
+
+    chat.participants = chat.participants.filter(id => id !== nodeId);
   }
 
   // UTILITY METHODS
@@ -1297,8 +3217,15 @@ export class UnifiedNode {
           const messageToSend = {
             type: message.messageType,
             fromNodeId: message.fromNodeId,
+            kem: message.kem,
             ciphertext: message.ciphertext,
-            acknowledged: message.acknowledged
+            x25519Ciphertext: message.x25519Ciphertext,
+            acknowledged: message.acknowledged,
+            chatId: message.chatId,
+            ratchet: message.ratchet,
+            encryptedData: message.encryptedData,
+            signingKey: message.signingKey,
+            signature: message.signature
           };
           const encrypted = this.encryptMessageForNode(messageToSend, message.targetNodeId);
           targetNode.socket.send(JSON.stringify(encrypted.data));
@@ -1308,6 +3235,7 @@ export class UnifiedNode {
             type: 'encrypted_message',
             fromNodeId: message.fromNodeId,
             chatId: message.chatId,
+            ratchet: message.ratchet,
             encryptedData: message.encryptedData,
             timestamp: Date.now()
           };
@@ -1391,9 +3319,12 @@ export class UnifiedNode {
         // Force close any remaining port bindings
         await this.forcePortCleanup();
         
+        this.closeStorage();
+        
       } catch (error) {
         this.safeLog(`Warning: Server shutdown failed: ${error.message}`, chalk.yellow);
         await this.forcePortCleanup();
+        this.closeStorage();
       }
     } else if (this.coordinatorWs) {
       try {
@@ -1446,11 +3377,29 @@ export class UnifiedNode {
     this.messageHandlers.set('message', handler);
   }
 
+  // Called with (messageId, chatId) whenever one of our messages changes status
+  onDeliveryUpdate(handler) {
+    this.messageHandlers.set('delivery', handler);
+  }
+
+  // Called with { type: 'edit' | 'delete' | 'reaction', chatId, messageId,
+  // fromNodeId, text, emoji, removed } when a message is edited or deleted by
+  // its author, or someone reacts to it
+  onMessageUpdate(handler) {
+    this.messageHandlers.set('update', handler);
+  }
+
+  // Called with (fromNodeId, chatId) when another member is typing
+  onTyping(handler) {
+    this.messageHandlers.set('typing', handler);
+  }
+
   async handleNodeList(nodes) {
     this.safeLog(`Discovered ${nodes.length} nodes`, chalk.blue);
     
     // Use for...of loop to properly handle async operations
     for (const node of nodes) {
+      this.noteHybridPeer(node);
       if (!this.peerKeys.has(node.nodeId)) {
         try {
           await this.initiateKeyExchange(node);
@@ -1466,31 +3415,83 @@ export class UnifiedNode {
   }
 
   async initiateKeyExchange(peerNode) {
+    // Never encapsulate to a KEM key the peer's identity has not signed
+    if (!this.verifyPeerKeyBinding(peerNode)) {
+      throw new Error(`identity signature check failed for ${peerNode.nodeId.slice(-8)} (possible impersonation)`);
+    }
+
     this.safeLog(`🔐 Starting key exchange with ${peerNode.nodeId.slice(-8)}`, chalk.cyan);
-    const { ciphertext, sharedSecret } = await this.mlkem.encapsulate(peerNode.publicKey);
-    this.peerKeys.set(peerNode.nodeId, sharedSecret);
+    // A peer that advertised X25519 gets hybrid or nothing; only peers without
+    // it (older clients) fall back to plain ML-KEM
+    const x25519Key = this.getVerifiedX25519Key(peerNode);
+    const { mode, ciphertext, x25519Ciphertext, sharedSecret } = await this.kem.encapsulate(peerNode.publicKey, x25519Key, {
+      requireHybrid: !!peerNode.x25519PublicKey
+    });
+    const hybridFields = this.getKeyExchangeFields(mode, x25519Ciphertext);
+    const salt = transcriptSalt('pairwise', this.nodeId, peerNode.nodeId, ciphertext, ...hybridFields);
+    this.peerKeys.set(peerNode.nodeId, this.createPeerRatchet(peerNode.nodeId, sharedSecret, salt));
+    this.peerKemKeys.set(peerNode.nodeId, peerNode.publicKey);
+    this.unconfirmedPeers.add(peerNode.nodeId);
 
     this.send({
       type: 'relay_message',
       targetNodeId: peerNode.nodeId,
       fromNodeId: this.nodeId,
       messageType: 'key_exchange_request',
-      ciphertext: ciphertext
+      kem: mode,
+      ciphertext: ciphertext,
+      x25519Ciphertext,
+      signingKey: this.identity.publicKey,
+      signature: this.signFields('key_exchange_request', this.nodeId, peerNode.nodeId, ciphertext, ...hybridFields)
     });
   }
 
   async handleKeyExchangeRequest(message) {
     this.safeLog(`🔐 Received key exchange request from ${message.fromNodeId.slice(-8)}`, chalk.cyan);
-    
-    // Check if we already have a key exchange with this node
-    if (this.peerKeys.has(message.fromNodeId) && this.peerKeys.get(message.fromNodeId) !== 'pending') {
+
+    const hybridFields = this.getKeyExchangeFields(message.kem, message.x25519Ciphertext);
+    const signedFields = ['key_exchange_request', message.fromNodeId, this.nodeId, message.ciphertext, ...hybridFields];
+    if (!this.verifyPeerSignature(message.fromNodeId, message.signingKey, message.signature, ...signedFields)) {
+      this.safeLog(`⚠️  Rejected key exchange from ${message.fromNodeId.slice(-8)}: invalid identity signature (possible impersonation)`, chalk.red);
+      return;
+    }
+
+    const existing = this.peerKeys.has(message.fromNodeId);
+    if (existing && this.peerExchanges.get(message.fromNodeId) === message.ciphertext) {
       this.safeLog(`Key exchange already exists with ${message.fromNodeId.slice(-8)}`, chalk.gray);
       return;
     }
-    
-    const sharedSecret = await this.mlkem.decapsulate(message.ciphertext, this.keyPair.privateKey);
-    this.peerKeys.set(message.fromNodeId, sharedSecret);
-    this.safeLog(`✅ Key exchange established with ${message.fromNodeId.slice(-8)}`, chalk.green);
+    // Both sides started one at once: the lower nodeId's exchange wins
+    if (existing && this.unconfirmedPeers.has(message.fromNodeId) && this.nodeId < message.fromNodeId) {
+      this.safeLog(`Keeping our own key exchange with ${message.fromNodeId.slice(-8)}`, chalk.gray);
+      return;
+    }
+
+    // When we both advertised X25519, plain ML-KEM can only be a downgrade
+    let sharedSecret;
+    try {
+      sharedSecret = await this.kem.decapsulate({
+        mode: message.kem,
+        ciphertext: message.ciphertext,
+        x25519Ciphertext: message.x25519Ciphertext
+      }, this.keyPair, {
+        requireHybrid: this.hasCapability(CAPABILITIES.HYBRID_KEM) && this.hybridPeers.has(message.fromNodeId)
+      });
+    } catch (error) {
+      this.safeLog(`⚠️  Rejected key exchange from ${message.fromNodeId.slice(-8)}: ${error.message}`, chalk.red);
+      return;
+    }
+
+    // A signed new exchange means the peer lost its side of the session (it
+    // restarted or reconnected), so ours is replaced rather than kept
+    if (existing) {
+      this.safeLog(`🔄 ${message.fromNodeId.slice(-8)} started a new session; replacing the old one`, chalk.cyan);
+      this.resetPeerSession(message.fromNodeId);
+    }
+    const salt = transcriptSalt('pairwise', message.fromNodeId, this.nodeId, message.ciphertext, ...hybridFields);
+    this.peerKeys.set(message.fromNodeId, this.createPeerRatchet(message.fromNodeId, sharedSecret, salt));
+    this.peerExchanges.set(message.fromNodeId, message.ciphertext);
+    this.safeLog(`✅ Key exchange established with ${message.fromNodeId.slice(-8)} (${message.kem || KEM_MODES.MLKEM})`, chalk.green);
     
     this.send({
       type: 'relay_message',
@@ -1499,10 +3500,73 @@ export class UnifiedNode {
       messageType: 'key_exchange_response',
       acknowledged: true
     });
+
+    this.deliverPendingSenderKeys(message.fromNodeId);
+  }
+
+  // Drop the pairwise session with a peer and the sender keys that came over it.
+  // Our current sender keys are handed over again once a new session is up.
+  resetPeerSession(nodeId) {
+    const ratchet = this.peerKeys.get(nodeId);
+    if (ratchet instanceof PairwiseRatchet) ratchet.destroy();
+    this.peerKeys.delete(nodeId);
+    this.peerExchanges.delete(nodeId);
+    this.unconfirmedPeers.delete(nodeId);
+
+    for (const [slot, chains] of Array.from(this.receivedSenderKeys.entries())) {
+      if (!slot.endsWith(`:${nodeId}`)) continue;
+      for (const chain of chains.values()) chain.destroy();
+      this.receivedSenderKeys.delete(slot);
+    }
+    for (const senderKey of this.senderKeys.values()) {
+      senderKey.delivered.delete(nodeId);
+    }
+  }
+
+  // Everything kept about a peer that no longer shares a chat with us
+  forgetPeer(nodeId) {
+    this.resetPeerSession(nodeId);
+    this.peerKemKeys.delete(nodeId);
+    this.hybridPeers.delete(nodeId);
+    this.peerQueues.delete(nodeId);
+  }
+
+  sharesChatWith(nodeId) {
+    for (const chat of this.chats.values()) {
+      const participants = chat.participants || [];
+      if (participants.includes(nodeId) && participants.includes(this.nodeId)) return true;
+    }
+    return false;
+  }
+
+  // The ML-KEM secret only seeds the ratchet; neither it nor the derived
+  // session keys are kept around afterwards.
+  createPeerRatchet(nodeId, sharedSecret, salt) {
+    const sessionKeys = deriveSessionKeys(sharedSecret, salt, this.nodeId, nodeId);
+    const ratchet = new PairwiseRatchet(this.mlkem, sessionKeys, this.nodeId, nodeId);
+    ratchet.onStepFailed = error => {
+      this.safeLog(`⚠️  ML-KEM ratchet step with ${nodeId.slice(-8)} failed, retrying with the next message: ${error.message}`, chalk.yellow);
+    };
+    sessionKeys.sendKey.fill(0);
+    sessionKeys.receiveKey.fill(0);
+    return ratchet;
+  }
+
+  // Messages from one peer are handled strictly in arrival order, even when
+  // handling one of them has to wait (e.g. for an ML-KEM decapsulation)
+  runInPeerOrder(nodeId, task) {
+    const previous = this.peerQueues.get(nodeId) || Promise.resolve();
+    const next = previous.then(task).catch(error => {
+      this.safeLog(`Failed to process message from ${String(nodeId).slice(-8)}: ${error.message}`, chalk.red);
+    });
+    this.peerQueues.set(nodeId, next);
+    return next;
   }
 
   handleKeyExchangeResponse(message) {
     this.safeLog(`✅ Key exchange completed with ${message.fromNodeId.slice(-8)}`, chalk.green);
+    this.unconfirmedPeers.delete(message.fromNodeId);
+    this.deliverPendingSenderKeys(message.fromNodeId);
   }
 
   async sendMessage(chatId, messageText, targetNodeId) {
@@ -1511,49 +3575,69 @@ export class UnifiedNode {
       return;
     }
 
-    const sharedSecret = this.peerKeys.get(targetNodeId);
-    const encryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
+    const ratchet = this.peerKeys.get(targetNodeId);
     
-    const messageData = {
+    const messageData = this.signChatPayload({
       chatId,
       text: messageText,
       timestamp: Date.now(),
       fromNodeId: this.nodeId
-    };
+    });
 
-    const encryptedData = this.aesCrypto.encrypt(JSON.stringify(messageData), encryptionKey);
+    const { header, encryptedData } = ratchet.encrypt(JSON.stringify(messageData));
 
     this.send({
       type: 'relay_message',
       targetNodeId,
       fromNodeId: this.nodeId,
       chatId,
+      ratchet: header,
       encryptedData
     });
   }
 
-  handleEncryptedMessage(message) {
+  // The chat ID is derived from both members, so a host cannot slip a direct
+  // message into another chat
+  async handleDirectMessage(message) {
+    if (message.chatId !== directChatId(this.nodeId, message.fromNodeId)) {
+      this.safeLog(`⚠️  Dropped direct message from ${message.fromNodeId.slice(-8)} for a chat that is not ours`, chalk.red);
+      return;
+    }
+
+    this.addDirectChat(message.chatId, message.fromNodeId);
+    await this.handleEncryptedMessage(message);
+  }
+
+  async handleEncryptedMessage(message) {
     try {
       if (!this.peerKeys.has(message.fromNodeId)) {
         this.safeLog(`Received message from unknown node: ${message.fromNodeId}`, chalk.red);
         return;
       }
 
-      const sharedSecret = this.peerKeys.get(message.fromNodeId);
-      const decryptionKey = this.aesCrypto.deriveKeyFromSharedSecret(sharedSecret);
+      const ratchet = this.peerKeys.get(message.fromNodeId);
       
       // Debug logging
       this.safeLog(`Decrypting message from ${message.fromNodeId.slice(-8)}`, chalk.gray);
       
-      const decryptedText = this.aesCrypto.decrypt(message.encryptedData, decryptionKey);
+      const decryptedText = await ratchet.decrypt(message.ratchet, message.encryptedData);
       const messageData = JSON.parse(decryptedText);
 
       // Ensure we have the required message fields
-      if (!messageData.chatId || !messageData.text) {
+      if (!messageData.chatId || !messageData.text ||
+          (message.chatId && messageData.chatId !== message.chatId) ||
+          (message.messageId && messageData.messageId !== message.messageId)) {
         this.safeLog(`Invalid message data from ${message.fromNodeId}`, chalk.red);
         return;
       }
 
+      if (messageData.fromNodeId !== message.fromNodeId || !this.verifyChatPayload(messageData)) {
+        this.safeLog(`⚠️  Dropped message with invalid signature claiming to be from ${message.fromNodeId.slice(-8)}`, chalk.red);
+        return;
+      }
+
+      this.rememberMessage(messageData);
+      this.acknowledgeDelivery(messageData);
       if (this.messageHandlers.has('message')) {
         this.messageHandlers.get('message')(messageData);
       }
@@ -1563,8 +3647,117 @@ export class UnifiedNode {
     }
   }
 
+  handleSealedMessage(message) {
+    try {
+      const messageData = this.openChatPayload(message.sealed, message.fromNodeId, message.chatId);
+
+      // The host routes acks and threads by the IDs it was shown, so they must
+      // be the signed ones
+      if (messageData.chatId !== message.chatId || !messageData.text ||
+          (message.messageId && messageData.messageId !== message.messageId) ||
+          (message.replyTo && messageData.replyTo !== message.replyTo)) {
+        this.safeLog(`Invalid sealed message from ${message.fromNodeId.slice(-8)}`, chalk.red);
+        return;
+      }
+
+      if (!this.verifyChatPayload(messageData)) {
+        this.safeLog(`⚠️  Dropped sealed message with invalid signature claiming to be from ${message.fromNodeId.slice(-8)}`, chalk.red);
+        return;
+      }
+
+      this.rememberMessage(messageData);
+      this.acknowledgeDelivery(messageData);
+      if (this.messageHandlers.has('message')) {
+        this.messageHandlers.get('message')({ ...messageData, threadId: message.threadId });
+      }
+    } catch (error) {
+      this.safeLog(`Failed to open sealed message from ${message.fromNodeId.slice(-8)}: ${error.message}`, chalk.red);
+    }
+  }
+
+  handleMessageEdited(message) {
+    try {
+      const payload = message.sealed
+        ? this.openChatPayload(message.sealed, message.fromNodeId, message.chatId)
+        : {
+          chatId: message.chatId,
+          messageId: message.messageId,
+          text: message.text,
+          timestamp: message.editedAt,
+          edited: true,
+          fromNodeId: message.fromNodeId,
+          signature: message.signature
+        };
+
+      if (!payload.edited || payload.messageId !== message.messageId || !payload.text || !this.verifyChatPayload(payload)) {
+        this.safeLog(`⚠️  Dropped edit with invalid signature claiming to be from ${message.fromNodeId.slice(-8)}`, chalk.red);
+        return;
+      }
+      if (message.sealed) this.rememberMessage(payload);
+
+      if (this.messageHandlers.has('update')) {
+        this.messageHandlers.get('update')({
+          type: 'edit',
+          chatId: message.chatId,
+          messageId: message.messageId,
+          fromNodeId: message.fromNodeId,
+          text: payload.text
+        });
+      }
+    } catch (error) {
+      this.safeLog(`Failed to open edit from ${message.fromNodeId.slice(-8)}: ${error.message}`, chalk.red);
+    }
+  }
+
+  handleMessageDeleted(message) {
+    if (!this.verifyChatDeletion(message)) {
+      this.safeLog(`⚠️  Dropped deletion with invalid signature claiming to be from ${message.fromNodeId.slice(-8)}`, chalk.red);
+      return;
+    }
+    this.forgetMessage(message.chatId, message.messageId);
+
+    if (this.messageHandlers.has('update')) {
+      this.messageHandlers.get('update')({
+        type: 'delete',
+        chatId: message.chatId,
+        messageId: message.messageId,
+        fromNodeId: message.fromNodeId
+      });
+    }
+  }
+
+  handleReaction(message) {
+    const reaction = {
+      nodeId: message.fromNodeId,
+      emoji: message.emoji,
+      removed: message.removed,
+      reactedAt: message.reactedAt,
+      signature: message.signature
+    };
+    if (!this.verifyReaction(message.chatId, message.messageId, reaction)) {
+      this.safeLog(`⚠️  Dropped reaction with invalid signature claiming to be from ${message.fromNodeId.slice(-8)}`, chalk.red);
+      return;
+    }
+
+    if (this.messageHandlers.has('update')) {
+      this.messageHandlers.get('update')({
+        type: 'reaction',
+        chatId: message.chatId,
+        messageId: message.messageId,
+        fromNodeId: message.fromNodeId,
+        emoji: message.emoji,
+        removed: !!message.removed
+      });
+    }
+  }
+
   handleChatList(chats) {
     chats.forEach(chat => {
+      if (chat.direct) {
+        const peerId = chat.participants.find(nodeId => nodeId !== this.nodeId);
+        if (peerId && chat.chatId === directChatId(this.nodeId, peerId)) this.addDirectChat(chat.chatId, peerId);
+        return;
+      }
       if (!this.chats.has(chat.chatId)) {
         this.chats.set(chat.chatId, {
           id: chat.chatId,
@@ -1576,11 +3769,33 @@ export class UnifiedNode {
   }
 
   async handlePeerInfo(message) {
+    // A new signed KEM key means the peer restarted under the same nodeId, and
+    // the session we hold with it is dead
+    this.noteHybridPeer(message);
+    if (this.verifyPeerKeyBinding(message)) {
+      const knownKey = this.peerKemKeys.get(message.nodeId);
+      if (knownKey && knownKey !== message.publicKey) {
+        this.safeLog(`🔄 ${message.nodeId.slice(-8)} has a new session key; redoing the key exchange`, chalk.cyan);
+        this.resetPeerSession(message.nodeId);
+      }
+      this.peerKemKeys.set(message.nodeId, message.publicKey);
+    }
+
+    // The host sends peer_info to both sides; only one of them may encapsulate,
+    // otherwise each ends up holding a different shared secret.
+    if (this.peerKeys.has(message.nodeId) || this.nodeId > message.nodeId) {
+      return;
+    }
+
     // Initiate key exchange with the peer
     try {
       await this.initiateKeyExchange({
         nodeId: message.nodeId,
         publicKey: message.publicKey,
+        signingKey: message.signingKey,
+        keySignature: message.keySignature,
+        x25519PublicKey: message.x25519PublicKey,
+        x25519KeySignature: message.x25519KeySignature,
         address: message.address
       });
     } catch (error) {
@@ -1591,34 +3806,162 @@ export class UnifiedNode {
   handleChatHistory(message) {
     // Store chat history messages in local CLI interface
     if (this.cliInterface && message.messages) {
-      if (!this.cliInterface.messages.has(message.chatId)) {
-        this.cliInterface.messages.set(message.chatId, []);
+      const localMessages = [];
+      for (const msg of message.messages) {
+        const entry = this.readHistoryEntry({ ...msg, chatId: message.chatId });
+        if (entry) localMessages.push(entry);
       }
       
-      const localMessages = message.messages.map(msg => ({
-        from: msg.senderAlias || msg.fromNodeId.slice(-8),
-        text: msg.text,
-        timestamp: msg.timestamp
-      }));
-      
-      this.cliInterface.messages.get(message.chatId).push(...localMessages);
+      this.cliInterface.mergeChatHistory(message.chatId, localMessages, {
+        hasMore: !!message.hasMore,
+        cursor: message.cursor || null
+      });
       
       this.safeLog(`Received ${message.messages.length} chat history messages for ${message.chatId}`, chalk.blue);
       
       // Refresh display if currently in this chat
       if (this.cliInterface.currentChat && this.cliInterface.currentChat.id === message.chatId) {
         this.cliInterface.refreshChatDisplay();
-        this.cliInterface.showInputArea();
+        this.cliInterface.rl.prompt();
       }
     }
   }
 
+  // A chat_history entry as a CLI message, or null when we cannot read or
+  // verify it. Edited entries carry the edit; deleted ones only a tombstone.
+  readHistoryEntry(msg) {
+    const local = {
+      from: msg.senderAlias || msg.fromNodeId.slice(-8),
+      fromNodeId: msg.fromNodeId,
+      messageId: msg.messageId,
+      replyTo: msg.replyTo,
+      threadId: msg.threadId,
+      timestamp: msg.timestamp
+    };
+
+    if (msg.deletedAt) {
+      if (!this.verifyChatDeletion(msg)) return null;
+      this.forgetMessage(msg.chatId, msg.messageId);
+      return { ...local, text: '', deleted: true };
+    }
+
+    // Reactions the host cannot prove were made are left out
+    local.reactions = {};
+    for (const reaction of msg.reactions || []) {
+      if (!this.verifyReaction(msg.chatId, msg.messageId, reaction)) continue;
+      local.reactions[reaction.emoji] = [...(local.reactions[reaction.emoji] || []), reaction.nodeId];
+    }
+
+    // Imported history is the host's word for who wrote what, and is shown
+    // as such. Imports from before the host signed them read as unsigned.
+    if (msg.imported && msg.signature) {
+      if (!this.verifyImportedEntry(msg)) return null;
+      return { ...local, text: msg.text, edited: !!msg.editedAt, imported: true };
+    }
+
+    if (msg.sealed) {
+      // Message keys are used up once read, so anything we have read (or sent)
+      // comes from readMessages; only messages we have not seen yet are opened,
+      // without spending keys. Messages sealed before we joined used sender
+      // keys we never received.
+      const known = this.recallMessage(msg);
+      if (known) {
+        return { ...local, messageId: known.messageId, text: known.text, edited: !!known.editedAt };
+      }
+      try {
+        const payload = this.openChatPayload(msg.sealed, msg.fromNodeId, msg.chatId, { peek: true });
+        if (!this.verifyChatPayload(payload)) return null;
+        if (msg.messageId && payload.messageId !== msg.messageId) return null;
+        if (msg.replyTo && !payload.edited && payload.replyTo !== msg.replyTo) return null;
+        if (!!payload.edited !== !!msg.editedAt) return null;
+        this.rememberMessage(payload);
+        return { ...local, messageId: payload.messageId, text: payload.text, edited: !!payload.edited };
+      } catch (error) {
+        return null;
+      }
+    }
+
+    // Edits are signed with the edit time in place of the original one
+    const signed = msg.editedAt ? { ...msg, timestamp: msg.editedAt, edited: true } : msg;
+    if (msg.signature && !this.verifyChatPayload(signed)) return null;
+    // Plaintext its author did not sign could have come from anyone, the host
+    // included: E2E clients never expect it, host-encrypted ones flag it
+    if (!msg.signature) {
+      if (this.encryptionMode === ENCRYPTION_MODES.E2E) return null;
+      local.unsigned = true;
+    }
+    return { ...local, text: msg.text, edited: !!msg.editedAt };
+  }
+
+  // Keep a message we verified or sent; an edit replaces the text but keeps
+  // the original's place, time and reply
+  rememberMessage(payload) {
+    if (!payload.messageId || !payload.chatId) return;
+    if (!this.readMessages.has(payload.chatId)) this.readMessages.set(payload.chatId, new Map());
+
+    const messages = this.readMessages.get(payload.chatId);
+    const earlier = messages.get(payload.messageId);
+    if (earlier && earlier.fromNodeId !== payload.fromNodeId) return;
+
+    messages.set(payload.messageId, {
+      chatId: payload.chatId,
+      messageId: payload.messageId,
+      fromNodeId: payload.fromNodeId,
+      text: payload.text,
+      timestamp: payload.edited && earlier ? earlier.timestamp : payload.timestamp,
+      replyTo: earlier ? earlier.replyTo : payload.replyTo,
+      editedAt: payload.edited ? payload.timestamp : undefined
+    });
+
+    if (messages.size > READ_MESSAGE_LIMIT) {
+      messages.delete(messages.keys().next().value);
+    }
+  }
+
+  // Messages we kept for a chat from before `before` (the newest without
+  // it), oldest first and shaped like fetchHistory's. What comes back of
+  // scrollback the CLI trimmed when the host has no history to page through.
+  getReadMessages(chatId, { before = null, limit = HISTORY_PAGE_SIZE } = {}) {
+    const kept = Array.from(this.readMessages.get(chatId)?.values() || [])
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const end = before ? kept.findIndex(known => known.messageId === before) : kept.length;
+    if (end === -1) return { messages: [], hasMore: false, cursor: null };
+
+    const start = Math.max(0, end - limit);
+    const messages = kept.slice(start, end).map(known => this.toChatMessage(known));
+    return { messages, hasMore: start > 0, cursor: messages.length ? messages[0].messageId : null };
+  }
+
+  toChatMessage(known) {
+    return {
+      from: known.fromNodeId === this.nodeId ? 'You' : known.fromNodeId.slice(-8),
+      fromNodeId: known.fromNodeId,
+      messageId: known.messageId,
+      replyTo: known.replyTo,
+      text: known.text,
+      timestamp: known.timestamp,
+      edited: !!known.editedAt
+    };
+  }
+
+  forgetMessage(chatId, messageId) {
+    this.readMessages.get(chatId)?.delete(messageId);
+  }
+
+  // What we kept of a history entry, if it is the same version of the message
+  recallMessage(msg) {
+    const known = this.readMessages.get(msg.chatId)?.get(msg.messageId);
+    if (!known || known.fromNodeId !== msg.fromNodeId || known.editedAt !== msg.editedAt) return null;
+    return known;
+  }
+
   // ===============================
   // HOST DISCONNECTION HANDLING
   // ===============================
 
   handleHostDisconnection(code, reason) {
     this.stopHeartbeat();
+    this.rpc.cancelAll(new RpcError(ERROR_CODES.DISCONNECTED, `Disconnected from host (code: ${code})`));
     
     // Determine disconnection type
     const isHostShutdown = code === 1001 || code === 1000 || reason === 'host_shutdown';
@@ -1650,8 +3993,22 @@ export class UnifiedNode {
       }
       
       // Clear peer connections
+      for (const ratchet of this.peerKeys.values()) {
+        if (ratchet instanceof PairwiseRatchet) ratchet.destroy();
+      }
       this.peerKeys.clear();
+      this.sessionKeys.clear();
+      this.peerQueues.clear();
+      this.linkSequences.clear();
       this.chats.clear();
+      this.senderKeys.clear();
+      this.receivedSenderKeys.clear();
+      for (const delivery of this.deliveries.values()) clearTimeout(delivery.retryTimer);
+      this.deliveries.clear();
+      this.typingSent.clear();
+      this.readMessages.clear();
+      this.hostLink = null;
+      this.hostProtocol = null;
       
       this.safeLog('Host has shut down. All chat data cleared.', chalk.red);
       this.safeLog('Returning to main menu...', chalk.yellow);
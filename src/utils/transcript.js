@@ -0,0 +1,207 @@
+// Chat transcripts: what /export writes and what a host can --import.
+// A transcript is the JSON format; the others are renderings of it.
+
+export const TRANSCRIPT_FORMAT = 'melq-transcript';
+export const TRANSCRIPT_VERSION = 1;
+export const TRANSCRIPT_FORMATS = ['txt', 'md', 'json', 'html'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const MAX_NAME = 64;
+const MAX_TEXT = 4000;
+
+// How each sender's key stood with the exporter
+const VERIFICATION_LABELS = {
+  self: 'you',
+  verified: 'verified',
+  unverified: 'unverified',
+  changed: 'KEY CHANGED',
+  unsigned: 'unsigned',
+  imported: 'imported by host'
+};
+
+export function renderTranscript(transcript, format) {
+  switch (format) {
+    case 'txt': return renderText(transcript);
+    case 'md': return renderMarkdown(transcript);
+    case 'json': return JSON.stringify(transcript, null, 2) + '\n';
+    case 'html': return renderHtml(transcript);
+    default: throw new Error(`Unknown transcript format "${format}" (use ${TRANSCRIPT_FORMATS.join(', ')})`);
+  }
+}
+
+function timestamp(time) {
+  return new Date(time).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+function reactionSummary(reactions) {
+  return Object.entries(reactions || {})
+    .filter(([, nodeIds]) => nodeIds.length > 0)
+    .map(([emoji, nodeIds]) => `${emoji} ${nodeIds.length}`)
+    .join(', ');
+}
+
+// The sender's name, with their short ID when the name is something else
+function senderOf(msg) {
+  const shortId = msg.fromNodeId.slice(-8);
+  return msg.sender && msg.sender !== shortId ? `${msg.sender} [${shortId}]` : shortId;
+}
+
+function numberOf(transcript, messageId) {
+  const parent = transcript.messages.find(msg => msg.messageId === messageId);
+  return parent && parent.number ? `#${parent.number}` : 'an earlier message';
+}
+
+function header(transcript) {
+  const { chat, messages } = transcript;
+  return {
+    title: `${chat.direct ? 'Direct messages' : 'Chat'}: ${chat.name}`,
+    details: [
+      `Exported ${timestamp(transcript.exportedAt)} by ${transcript.exportedBy}`,
+      `${messages.length} message${messages.length === 1 ? '' : 's'}, ${timestamp(messages[0]?.timestamp ?? transcript.exportedAt)} to ${timestamp(messages[messages.length - 1]?.timestamp ?? transcript.exportedAt)}`,
+      'The label after each sender says whether their key was verified with /verify; "unsigned" messages had no signature to check, so anyone (the host included) could have written them, and "imported by host" ones only have the host\'s word for who wrote them'
+    ]
+  };
+}
+
+function renderText(transcript) {
+  const { title, details } = header(transcript);
+  const lines = [title, ...details, ''];
+
+  for (const msg of transcript.messages) {
+    const status = VERIFICATION_LABELS[msg.verification] || msg.verification;
+    const text = msg.deleted ? '[message deleted]' : msg.text + (msg.edited ? ' (edited)' : '');
+    lines.push(`[${timestamp(msg.timestamp)}] #${msg.number} ${senderOf(msg)} (${status}): ${text.replace(/\n/g, '\n    ')}`);
+    if (msg.replyTo) lines.push(`    in reply to ${numberOf(transcript, msg.replyTo)}`);
+    const reactions = reactionSummary(msg.reactions);
+    if (reactions) lines.push(`    reactions: ${reactions}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+function renderMarkdown(transcript) {
+  const { title, details } = header(transcript);
+  const lines = [`# ${escapeMarkdown(title)}`, '', ...details.map(detail => `- ${escapeMarkdown(detail)}`), ''];
+
+  for (const msg of transcript.messages) {
+    const status = VERIFICATION_LABELS[msg.verification] || msg.verification;
+    const text = msg.deleted ? '_message deleted_' : escapeMarkdown(msg.text).replace(/\n/g, '  \n  ') + (msg.edited ? ' _(edited)_' : '');
+    const reply = msg.replyTo ? ` ↳ ${numberOf(transcript, msg.replyTo)}` : '';
+    lines.push(`- \`${timestamp(msg.timestamp)}\` #${msg.number} **${escapeMarkdown(senderOf(msg))}** _(${status})_${reply}: ${text}`);
+    const reactions = reactionSummary(msg.reactions);
+    if (reactions) lines.push(`  - reactions: ${reactions}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function renderHtml(transcript) {
+  const { title, details } = header(transcript);
+  const rows = transcript.messages.map(msg => {
+    const status = VERIFICATION_LABELS[msg.verification] || msg.verification;
+    const text = msg.deleted ? '<em>message deleted</em>' : escapeHtml(msg.text).replace(/\n/g, '<br>') + (msg.edited ? ' <span class="note">(edited)</span>' : '');
+    const reply = msg.replyTo ? `<div class="note">in reply to ${escapeHtml(numberOf(transcript, msg.replyTo))}</div>` : '';
+    const reactions = reactionSummary(msg.reactions);
+    return `    <tr id="m${msg.number}" class="${escapeHtml(msg.verification)}">
+      <td class="time">${escapeHtml(timestamp(msg.timestamp))}</td>
+      <td class="number">#${msg.number}</td>
+      <td class="sender">${escapeHtml(senderOf(msg))}<div class="status">${escapeHtml(status)}</div></td>
+      <td>${reply}${text}${reactions ? `<div class="note">${escapeHtml(reactions)}</div>` : ''}</td>
+    </tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    td { border-bottom: 1px solid #ddd; padding: 0.4em; vertical-align: top; }
+    .time, .number, .note, .status { color: #777; font-size: 0.85em; white-space: nowrap; }
+    .note { white-space: normal; }
+    .sender { font-weight: bold; }
+    .changed .status { color: #c00; font-weight: bold; }
+    .unsigned .status, .imported .status { color: #a60; }
+    .verified .status { color: #080; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <ul>
+${details.map(detail => `    <li>${escapeHtml(detail)}</li>`).join('\n')}
+  </ul>
+  <table>
+${rows.join('\n')}
+  </table>
+</body>
+</html>
+`;
+}
+
+// Check a JSON export and turn it into host history entries for its chat,
+// plus its members: the exporter and everyone who wrote in it. Deleted
+// messages are left out; reactions are too, since their signatures were not
+// exported. The authors' signatures were not exported either, so the host
+// signs imported entries itself (see UnifiedNode.importTranscript).
+export function parseTranscript(json) {
+  let transcript;
+  try {
+    transcript = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not a JSON transcript: ${error.message}`);
+  }
+
+  if (!transcript || transcript.format !== TRANSCRIPT_FORMAT) {
+    throw new Error('Not a MELQ transcript (export one with /export json)');
+  }
+  if (transcript.version !== TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version ${transcript.version}`);
+  }
+
+  const { chat, messages } = transcript;
+  if (!chat || !ID_PATTERN.test(chat.id) || typeof chat.name !== 'string' || !chat.name || chat.name.length > MAX_NAME) {
+    throw new Error('Transcript has no valid chat id and name');
+  }
+  if (chat.direct) {
+    throw new Error('Direct messages cannot be imported: the host never stores them');
+  }
+  if (!Array.isArray(messages)) {
+    throw new Error('Transcript has no message list');
+  }
+
+  const entries = [];
+  const members = new Set(ID_PATTERN.test(transcript.exportedBy) ? [transcript.exportedBy] : []);
+  messages.forEach((msg, index) => {
+    const valid = msg && ID_PATTERN.test(msg.messageId) && ID_PATTERN.test(msg.fromNodeId) &&
+      Number.isInteger(msg.timestamp) && msg.timestamp >= 0 &&
+      typeof msg.text === 'string' && msg.text.length <= MAX_TEXT &&
+      (msg.replyTo == null || ID_PATTERN.test(msg.replyTo)) &&
+      (msg.threadId == null || ID_PATTERN.test(msg.threadId));
+    if (!valid) throw new Error(`Transcript message ${index + 1} is malformed`);
+    members.add(msg.fromNodeId);
+    if (msg.deleted) return;
+
+    entries.push({
+      chatId: chat.id,
+      fromNodeId: msg.fromNodeId,
+      senderAlias: String(msg.sender || msg.fromNodeId.slice(-8)).slice(0, 128),
+      timestamp: msg.timestamp,
+      text: msg.text,
+      messageId: msg.messageId,
+      ...(msg.replyTo ? { replyTo: msg.replyTo } : {}),
+      ...(msg.threadId ? { threadId: msg.threadId } : {}),
+      ...(msg.edited ? { editedAt: msg.timestamp } : {}),
+      imported: true
+    });
+  });
+
+  return { chat: { id: chat.id, name: chat.name }, members: Array.from(members), entries };
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Identities, trust and host storage go to a throwaway MELQ_HOME; this has to
+// be imported before anything reads it
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'melq-test-'));
+process.env.MELQ_HOME = home;
+process.on('exit', () => fs.rmSync(home, { recursive: true, force: true }));
+// Nodes narrate everything to the console
+if (!process.env.MELQ_TEST_VERBOSE) console.log = () => {};
+
+const { UnifiedNode } = await import('../src/network/unified-node.js');
+
+export { UnifiedNode };
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until `check` returns something truthy, and return it
+export async function waitFor(check, { timeout = 10000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await sleep(interval);
+  }
+}
+
+// A host with in-memory storage on a free port; stop() shuts it and every
+// client joined through join() down again
+export async function startNetwork() {
+  const host = new UnifiedNode({ identity: 'test-host', storage: { backend: 'memory' } });
+  const { localConnectionCode } = await host.startAsHost(0, {});
+  const clients = [];
+
+  const join = async name => {
+    const client = new UnifiedNode({ identity: name });
+    client.received = [];
+    client.onMessage(message => client.received.push(message));
+    await client.joinNetwork(localConnectionCode, false);
+    clients.push(client);
+    return client;
+  };
+
+  const stop = async () => {
+    for (const client of clients) client.coordinatorWs?.terminate();
+    await host.disconnect();
+  };
+
+  return { host, join, stop };
+}
+
+// Create a chat as `creator` and have every member join it
+export async function openChat(name, creator, ...members) {
+  creator.createChat(name);
+  const chatId = await waitFor(() => Array.from(creator.chats.keys()).find(id => creator.chats.get(id).name === name));
+  for (const member of [creator, ...members]) {
+    if (member !== creator) await member.getChats();
+    member.joinChat(chatId);
+  }
+  return chatId;
+}
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startNetwork, openChat, waitFor } from './helpers.js';
+
+test('E2E history shows messages that were already read live', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('history-alice');
+  const bob = await network.join('history-bob');
+  const chatId = await openChat('history', alice, bob);
+
+  const messageId = await waitFor(() => alice.sendChatMessage(chatId, 'hello bob'));
+  await waitFor(() => bob.received.find(message => message.messageId === messageId));
+
+  // Both the reader and the author get it back from the host, more than once
+  for (const node of [bob, bob, alice]) {
+    const { messages } = await node.fetchHistory(chatId);
+    assert.deepEqual(messages.map(message => message.text), ['hello bob']);
+    assert.equal(messages[0].messageId, messageId);
+  }
+});
+
+test('reading history does not use up keys for messages still on their way', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('peek-alice');
+  const bob = await network.join('peek-bob');
+  const chatId = await openChat('peek', alice, bob);
+
+  await waitFor(() => alice.sendChatMessage(chatId, 'first'));
+  await waitFor(() => bob.received.length === 1);
+
+  // Hold back live delivery so history gets to the second message first
+  const deliver = bob.handleSealedMessage.bind(bob);
+  const held = [];
+  bob.handleSealedMessage = message => held.push(message);
+  alice.sendChatMessage(chatId, 'second');
+  await waitFor(() => held.length === 1);
+
+  const { messages } = await bob.fetchHistory(chatId);
+  assert.deepEqual(messages.map(message => message.text), ['first', 'second']);
+
+  deliver(held[0]);
+  assert.deepEqual(bob.received.map(message => message.text), ['first', 'second']);
+});
+
+test('edits and deletions carry over into history', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('edit-alice');
+  const bob = await network.join('edit-bob');
+  const chatId = await openChat('edits', alice, bob);
+
+  const kept = await waitFor(() => alice.sendChatMessage(chatId, 'typo'));
+  const gone = await waitFor(() => alice.sendChatMessage(chatId, 'oops'));
+  await waitFor(() => bob.received.length === 2);
+
+  const updates = [];
+  bob.onMessageUpdate(update => updates.push(update));
+  await alice.editChatMessage(chatId, kept, 'fixed');
+  await alice.deleteChatMessage(chatId, gone);
+  await waitFor(() => updates.length === 2);
+
+  for (const node of [alice, bob]) {
+    const { messages } = await node.fetchHistory(chatId);
+    assert.deepEqual(messages.map(({ text, edited, deleted }) => ({ text, edited, deleted })), [
+      { text: 'fixed', edited: true, deleted: undefined },
+      { text: '', edited: undefined, deleted: true }
+    ]);
+  }
+});
+
+test('late joiners see deletions and later edits, but nothing sealed before they joined', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('late-alice');
+  const bob = await network.join('late-bob');
+  const chatId = await openChat('late', alice, bob);
+
+  const edited = await waitFor(() => alice.sendChatMessage(chatId, 'draft'));
+  const deleted = await waitFor(() => alice.sendChatMessage(chatId, 'oops'));
+  await waitFor(() => alice.sendChatMessage(chatId, 'before carol'));
+  await waitFor(() => bob.received.length === 3);
+  await alice.deleteChatMessage(chatId, deleted);
+
+  const carol = await network.join('late-carol');
+  await carol.getChats();
+  carol.joinChat(chatId);
+  await waitFor(() => alice.chats.get(chatId).participants.includes(carol.nodeId) &&
+    alice.peerKeys.has(carol.nodeId) && !alice.unconfirmedPeers.has(carol.nodeId));
+
+  const updates = [];
+  carol.onMessageUpdate(update => updates.push(update));
+  await alice.editChatMessage(chatId, edited, 'final');
+  await waitFor(() => updates.length === 1);
+
+  const { messages } = await carol.fetchHistory(chatId);
+  assert.deepEqual(messages.map(({ messageId, text, edited, deleted }) => ({ messageId, text, edited, deleted })), [
+    { messageId: edited, text: 'final', edited: true, deleted: undefined },
+    { messageId: deleted, text: '', edited: undefined, deleted: true }
+  ]);
+});
+
+test('reactions come back with every message history can show', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('react-alice');
+  const bob = await network.join('react-bob');
+  const chatId = await openChat('reactions', alice, bob);
+
+  const messageId = await waitFor(() => alice.sendChatMessage(chatId, 'ship it?'));
+  await waitFor(() => bob.received.length === 1);
+  await bob.reactToMessage(chatId, messageId, '👍');
+  await alice.reactToMessage(chatId, messageId, '👍');
+  await alice.reactToMessage(chatId, messageId, '🎉');
+
+  for (const node of [alice, bob]) {
+    const { messages } = await node.fetchHistory(chatId);
+    assert.deepEqual(messages[0].reactions, { '👍': [bob.nodeId, alice.nodeId], '🎉': [alice.nodeId] });
+  }
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startNetwork, waitFor } from './helpers.js';
+import { TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION } from '../src/utils/transcript.js';
+
+function writeTranscript(t, exportedBy, messages) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'melq-import-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'chat.json');
+  fs.writeFileSync(file, JSON.stringify({
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    chat: { id: 'chat_imported_test', name: 'imported' },
+    exportedBy,
+    exportedAt: Date.now(),
+    messages
+  }));
+  return file;
+}
+
+test('imported history is signed by the host and open only to the transcript members', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('import-alice');
+  const eve = await network.join('import-eve');
+  const bobId = 'node_' + 'b'.repeat(32);
+
+  const file = writeTranscript(t, alice.nodeId, [
+    { messageId: 'm1', fromNodeId: bobId, sender: 'Bob', timestamp: 1000, text: 'deploy at 5?' },
+    { messageId: 'm2', fromNodeId: alice.nodeId, sender: 'Alice', timestamp: 2000, text: 'yes', replyTo: 'm1', edited: true }
+  ]);
+  const { chatId } = network.host.importTranscript(file);
+
+  assert.deepEqual((await alice.getChats()).map(chat => chat.chatId), [chatId]);
+  assert.deepEqual(await eve.getChats(), []);
+
+  alice.joinChat(chatId);
+  eve.joinChat(chatId);
+  await waitFor(() => network.host.chatRooms.get(chatId).participants.includes(alice.nodeId));
+
+  // E2E clients show it, marked as the host's word
+  const { messages } = await alice.fetchHistory(chatId);
+  assert.deepEqual(messages.map(({ from, text, edited, imported, unsigned }) => ({ from, text, edited, imported, unsigned })), [
+    { from: 'Bob', text: 'deploy at 5?', edited: false, imported: true, unsigned: undefined },
+    { from: 'Alice', text: 'yes', edited: true, imported: true, unsigned: undefined }
+  ]);
+
+  // Anything changed after the host signed it is dropped
+  network.host.chatHistory.get(chatId)[0].text = 'deploy now';
+  const tampered = await alice.fetchHistory(chatId);
+  assert.deepEqual(tampered.messages.map(message => message.messageId), ['m2']);
+
+  await assert.rejects(eve.fetchHistory(chatId), { code: 'ACCESS_DENIED' });
+  assert.ok(!network.host.chatRooms.get(chatId).participants.includes(eve.nodeId));
+});
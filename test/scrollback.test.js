@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startNetwork, openChat, waitFor } from './helpers.js';
+import { CLIInterface } from '../src/cli/interface.js';
+
+// Just the chat-history side of the CLI, fed with what the node receives
+function chatView(node, maxMessagesPerChat) {
+  const cli = Object.create(CLIInterface.prototype);
+  Object.assign(cli, {
+    node,
+    messages: new Map(),
+    messageCounters: new Map(),
+    olderHistory: new Map(),
+    maxMessagesPerChat,
+    threadView: null,
+    currentChat: null,
+    scrollOffset: 0
+  });
+  node.onMessage(message => {
+    node.received.push(message);
+    cli.appendChatMessage(message.chatId, { ...message, from: message.fromNodeId.slice(-8) });
+  });
+  return cli;
+}
+
+async function sendAll(from, chatId, texts) {
+  for (const text of texts) await waitFor(() => from.sendChatMessage(chatId, text));
+}
+
+const texts = Array.from({ length: 15 }, (_, i) => `message ${i}`);
+
+test('E2E messages trimmed from the scrollback come back from history', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('scroll-alice');
+  const bob = await network.join('scroll-bob');
+  const chatId = await openChat('scrollback', alice, bob);
+  const view = chatView(bob, 10);
+
+  await sendAll(alice, chatId, texts);
+  await waitFor(() => (view.messages.get(chatId) || []).length === 10 && bob.received.length === 15);
+  assert.equal(view.messages.get(chatId)[0].text, 'message 5');
+
+  assert.equal(await view.fetchOlderMessages(chatId), 5);
+  assert.deepEqual(view.messages.get(chatId).map(message => message.text), texts);
+});
+
+test('direct messages trimmed from the scrollback come back from the device', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('dm-alice');
+  const bob = await network.join('dm-bob');
+  await waitFor(() => alice.peerKeys.has(bob.nodeId) && bob.peerKeys.has(alice.nodeId));
+  const { id: chatId } = await alice.openDirectChat(bob.nodeId);
+  const view = chatView(bob, 10);
+
+  await sendAll(alice, chatId, texts);
+  await waitFor(() => bob.received.length === 15);
+  assert.equal(view.messages.get(chatId).length, 10);
+
+  assert.equal(await view.fetchOlderMessages(chatId), 5);
+  assert.deepEqual(view.messages.get(chatId).map(message => message.text), texts);
+});
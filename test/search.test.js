@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startNetwork, openChat, waitFor } from './helpers.js';
+
+test('E2E search finds read and sent messages in every chat', async t => {
+  const network = await startNetwork();
+  t.after(network.stop);
+  const alice = await network.join('search-alice');
+  const bob = await network.join('search-bob');
+  const one = await openChat('one', alice, bob);
+  const two = await openChat('two', alice, bob);
+
+  await waitFor(() => alice.sendChatMessage(one, 'deploy tonight?'));
+  await waitFor(() => alice.sendChatMessage(two, 'lunch'));
+  await waitFor(() => bob.received.length === 2);
+  await waitFor(() => bob.sendChatMessage(two, 'the deploy broke'));
+  await waitFor(() => alice.received.length === 1);
+
+  for (const node of [alice, bob]) {
+    const everywhere = await node.searchHistory(null, { query: 'DEPLOY' });
+    assert.deepEqual(everywhere.messages.map(({ chatId, text }) => [chatId, text]), [
+      [two, 'the deploy broke'],
+      [one, 'deploy tonight?']
+    ]);
+    assert.equal(everywhere.searchedHost, false);
+
+    const inOne = await node.searchHistory(one, { query: 'deploy' });
+    assert.deepEqual(inOne.messages.map(message => message.text), ['deploy tonight?']);
+  }
+
+  const fromBob = await alice.searchHistory(null, { fromNodeId: bob.nodeId });
+  assert.deepEqual(fromBob.messages.map(message => message.text), ['the deploy broke']);
+});
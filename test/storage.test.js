@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openHostStore } from '../src/network/storage.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'melq-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const room = { creator: 'node_a', name: 'room', participants: [], created: 1 };
+const entry = { chatId: 'chat_1', messageId: 'm1', fromNodeId: 'node_a', timestamp: 1, text: 'hi' };
+
+async function roundTrip(options) {
+  const store = await openHostStore(options);
+  store.saveRoom('chat_1', room);
+  store.appendMessage('chat_1', entry);
+  const { rooms, history } = (await openHostStore(options)).load();
+  assert.deepEqual(rooms.get('chat_1'), { ...room, direct: false });
+  assert.deepEqual(history.get('chat_1'), [entry]);
+}
+
+test('an empty data file is a new store, key or no key', async t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'host.jsonl'), '');
+
+  const store = await openHostStore({ name: 'host', dir });
+  assert.deepEqual(store.load(), { rooms: new Map(), history: new Map() });
+  await roundTrip({ name: 'host', dir });
+});
+
+test('the key can live away from the data', async t => {
+  const dir = tempDir(t);
+  const keyFile = path.join(tempDir(t), 'storage.key');
+
+  await roundTrip({ name: 'host', dir, keyFile });
+  assert.ok(fs.existsSync(keyFile));
+  assert.ok(!fs.existsSync(path.join(dir, 'host.key')));
+
+  // Without it the data stays unreadable rather than starting over
+  await assert.rejects(openHostStore({ name: 'host', dir }), /is missing/);
+});
+
+test('MELQ_STORAGE_KEY supplies the key without any key file', async t => {
+  const dir = tempDir(t);
+  process.env.MELQ_STORAGE_KEY = crypto.randomBytes(32).toString('base64');
+  t.after(() => delete process.env.MELQ_STORAGE_KEY);
+
+  await roundTrip({ name: 'host', dir });
+  assert.deepEqual(fs.readdirSync(dir), ['host.jsonl']);
+
+  process.env.MELQ_STORAGE_KEY = 'too short';
+  await assert.rejects(openHostStore({ name: 'host', dir }), /MELQ_STORAGE_KEY/);
+});